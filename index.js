@@ -9,18 +9,85 @@ const ERROR_LOG_FILE = path.join(CONFIG_DIR, 'errors.log');
 
 function ensureConfigDir() {
   if (!fs.existsSync(CONFIG_DIR)) {
-    fs.mkdirSync(CONFIG_DIR, { recursive: true });
+    fs.mkdirSync(CONFIG_DIR, { recursive: true, mode: 0o700 });
   }
+  // Directories created by older versions are usually 0755.
+  fs.chmodSync(CONFIG_DIR, 0o700);
+}
+
+const RETRYABLE_STATUS_CODES = new Set([408, 429, 500, 502, 503, 504]);
+const RETRYABLE_NETWORK_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+]);
+
+// gRPC status codes DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED and UNAVAILABLE.
+const RETRYABLE_GRPC_CODES = new Set([4, 8, 14]);
+
+function getErrorStatus(error) {
+  const status = error?.response?.status ?? error?.status ?? error?.code;
+  const n = Number(status);
+  return Number.isInteger(n) && n >= 100 ? n : null;
+}
+
+function classifyError(error) {
+  const status = getErrorStatus(error);
+  if (status !== null) return RETRYABLE_STATUS_CODES.has(status) ? 'retryable' : 'permanent';
+  if (typeof error?.code === 'number') return RETRYABLE_GRPC_CODES.has(error.code) ? 'retryable' : 'permanent';
+  const code = error?.code || error?.cause?.code;
+  return RETRYABLE_NETWORK_CODES.has(code) ? 'retryable' : 'permanent';
 }
 
 function logError(error, context = 'unknown') {
   ensureConfigDir();
   const timestamp = new Date().toISOString();
   const message = error?.stack || error?.message || String(error);
-  const entry = `[${timestamp}] [${context}] ${message}\n\n`;
+  const status = getErrorStatus(error);
+  const kind = `${classifyError(error)}${status ? ` ${status}` : ''}`;
+  const entry = `[${timestamp}] [${context}] [${kind}] ${message}\n\n`;
   fs.appendFileSync(ERROR_LOG_FILE, entry, 'utf-8');
 }
 
+const DEFAULT_RETRY = { retries: 3, baseDelayMs: 500, maxDelayMs: 30000 };
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+
+function getRetryAfterMs(error) {
+  const headers = error?.response?.headers || {};
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+async function withRetry(fn, { retries, baseDelayMs, maxDelayMs, context = 'api' } = DEFAULT_RETRY) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await fn();
+    } catch (error) {
+      const retryAfterMs = getRetryAfterMs(error);
+      if (attempt >= retries || classifyError(error) === 'permanent' || retryAfterMs > MAX_RETRY_AFTER_MS) {
+        if (attempt > 0) error.message = `${error.message} (after ${attempt + 1} attempts)`;
+        throw error;
+      }
+
+      const backoffMs = Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      const delayMs = Math.round(Math.max(backoffMs, retryAfterMs || 0));
+      logError(error, `${context}:retry ${attempt + 1}/${retries} in ${delayMs}ms`);
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+  }
+}
+
 function exitWithLoggedError(error, context) {
   logError(error, context);
   console.error(`Error: ${error.message}`);
@@ -28,1020 +95,5752 @@ function exitWithLoggedError(error, context) {
   process.exit(1);
 }
 
-function loadConfig() {
-  if (!fs.existsSync(CONFIG_FILE)) {
-    console.log(`No config found at ${CONFIG_FILE}`);
-    console.log('Run with: ga4 init <path-to-service-account-json>');
-    process.exit(1);
+const BATCH_REPORT_LIMIT = 5;
+const RUN_CONCURRENCY = BATCH_REPORT_LIMIT;
+
+const CACHE_DIR = path.join(CONFIG_DIR, 'cache');
+const CACHE_TTL_MS = {
+  open: 5 * 60 * 1000, // range includes today
+  recent: 60 * 60 * 1000, // range ends yesterday; GA may still be processing it
+  closed: 30 * 24 * 60 * 60 * 1000, // range ended before yesterday
+  metadata: 24 * 60 * 60 * 1000, // dimension/metric catalog, including custom definitions
+};
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
   }
+  return JSON.stringify(value);
+}
+
+function getCacheKey(property, requestBody) {
+  const crypto = require('crypto');
+  return crypto.createHash('sha256').update(stableStringify({ property, requestBody })).digest('hex');
+}
 
+// "today" is the property's today: a range ending on it is still open even when UTC has moved on.
+function getCacheTtl(requestBody, timeZone) {
+  const today = getTodayInTimeZone(timeZone);
+  const yesterday = addDays(today, -1);
+  const lastEnd = (requestBody.dateRanges || [])
+    .map((r) => (r.endDate === 'today' ? today : r.endDate === 'yesterday' ? yesterday : r.endDate))
+    .sort()
+    .pop();
+  if (!lastEnd || !isIsoDate(lastEnd) || lastEnd >= today) return CACHE_TTL_MS.open;
+  if (lastEnd === yesterday) return CACHE_TTL_MS.recent;
+  return CACHE_TTL_MS.closed;
+}
+
+function readCacheEntry(key) {
+  const file = path.join(CACHE_DIR, `${key}.json`);
   try {
-    return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
-  } catch (error) {
-    exitWithLoggedError(error, 'loadConfig');
+    const entry = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    if (entry.expiresAt > Date.now()) return entry.response;
+    fs.unlinkSync(file);
+  } catch {
   }
+  return null;
 }
 
-async function initGA(credentialsPath) {
+function writeCacheEntry(key, property, requestBody, response, ttlMs) {
   try {
-    const credentials = JSON.parse(fs.readFileSync(credentialsPath, 'utf-8'));
-    ensureConfigDir();
-
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    const createdAt = Date.now();
     fs.writeFileSync(
-      CONFIG_FILE,
-      JSON.stringify(
-        {
-          credentialsPath: path.resolve(credentialsPath),
-          credentials,
-        },
-        null,
-        2,
-      ),
+      path.join(CACHE_DIR, `${key}.json`),
+      JSON.stringify({ property, createdAt, expiresAt: createdAt + ttlMs, requestBody, response }),
     );
-
-    console.log('Configuration saved!');
   } catch (error) {
-    exitWithLoggedError(error, 'initGA');
+    logError(error, 'cache:write');
   }
 }
 
-class GA4Service {
-  constructor() {
-    this.config = loadConfig();
-    const { google } = require('googleapis');
-    const auth = new google.auth.GoogleAuth({
-      credentials: this.config.credentials,
-      scopes: ['https://www.googleapis.com/auth/analytics.readonly'],
-    });
-    this.client = google.analyticsdata({ version: 'v1beta', auth });
-    this.properties = [];
-    this.propertyId = this.config.propertyId ? String(this.config.propertyId) : null;
-  }
-
-  setPropertyId(propertyId) {
-    this.propertyId = String(propertyId);
-  }
+function runCacheCommand(subcommand, options = {}) {
+  const files = fs.existsSync(CACHE_DIR) ? fs.readdirSync(CACHE_DIR).filter((f) => f.endsWith('.json')) : [];
 
-  requirePropertyId() {
-    if (!this.propertyId) {
-      throw new Error('No property selected. Provide --property <id> or add "propertyId" to ~/.ga4-cli/config.json');
+  switch (subcommand || 'stats') {
+    case 'stats': {
+      const now = Date.now();
+      const stats = { directory: CACHE_DIR, entries: 0, expired: 0, bytes: 0, properties: {} };
+      files.forEach((file) => {
+        const fullPath = path.join(CACHE_DIR, file);
+        stats.entries += 1;
+        stats.bytes += fs.statSync(fullPath).size;
+        try {
+          const entry = JSON.parse(fs.readFileSync(fullPath, 'utf-8'));
+          if (entry.expiresAt <= now) stats.expired += 1;
+          const propertyId = String(entry.property || '').replace('properties/', '');
+          stats.properties[propertyId] = (stats.properties[propertyId] || 0) + 1;
+        } catch {
+          stats.expired += 1;
+        }
+      });
+      printDataset(
+        {
+          record: {
+            columns: [
+              { key: 'directory', label: 'Directory' },
+              { key: 'entries', label: 'Entries' },
+              { key: 'expired', label: 'Expired' },
+              { key: 'bytes', label: 'Size', display: (v) => `${(v / 1024).toFixed(1)} KB` },
+              {
+                key: 'properties',
+                label: 'By property',
+                display: (v) =>
+                  Object.entries(v)
+                    .map(([id, count]) => `${id} (${count})`)
+                    .join(', ') || '-',
+              },
+            ],
+            row: stats,
+          },
+          json: stats,
+        },
+        options,
+      );
+      return;
+    }
+    case 'clear': {
+      let removed = 0;
+      const now = Date.now();
+      files.forEach((file) => {
+        const fullPath = path.join(CACHE_DIR, file);
+        if (options.expired) {
+          try {
+            if (JSON.parse(fs.readFileSync(fullPath, 'utf-8')).expiresAt > now) return;
+          } catch {
+          }
+        }
+        fs.unlinkSync(fullPath);
+        removed += 1;
+      });
+      console.log(`Removed ${removed} cache entr${removed === 1 ? 'y' : 'ies'} from ${CACHE_DIR}`);
+      return;
     }
+    default:
+      throw new Error(`Unsupported cache command: ${subcommand}`);
   }
+}
 
-  async getRealtimeSummary() {
-    this.requirePropertyId();
-    const res = await this.client.properties.runRealtimeReport({
-      property: `properties/${this.propertyId}`,
-      requestBody: {
-        metrics: [{ name: 'activeUsers' }, { name: 'screenPageViews' }, { name: 'eventCount' }],
-      },
-    });
+const DEFAULT_PROFILE = 'default';
 
-    const row = res.data?.rows?.[0];
-    return {
-      activeUsers: row?.metricValues?.[0]?.value || '0',
-      screenPageViews: row?.metricValues?.[1]?.value || '0',
-      eventCount: row?.metricValues?.[2]?.value || '0',
-    };
-  }
+// Config files written before profiles existed hold a flat { credentials, propertyId } object.
+function readConfigFile() {
+  if (!fs.existsSync(CONFIG_FILE)) return null;
 
-  async getRealtimeTopPages(limit = 20) {
-    this.requirePropertyId();
-    const res = await this.client.properties.runRealtimeReport({
-      property: `properties/${this.propertyId}`,
-      requestBody: {
-        dimensions: [{ name: 'unifiedScreenName' }],
-        metrics: [{ name: 'screenPageViews' }],
-        orderBys: [{ metric: { metricName: 'screenPageViews' }, desc: true }],
-        limit: String(limit),
-      },
-    });
-    const rows = res.data?.rows || [];
-    return rows.map((r) => ({
-      page: r.dimensionValues?.[0]?.value || '(not set)',
-      views: r.metricValues?.[0]?.value || '0',
-    }));
+  const raw = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
+  if (raw.profiles) return raw;
+
+  const migrated = {
+    activeProfile: DEFAULT_PROFILE,
+    profiles: { [DEFAULT_PROFILE]: raw },
+  };
+  writeConfigFile(migrated);
+  return migrated;
+}
+
+function writeConfigFile(config) {
+  ensureConfigDir();
+  fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2), { mode: 0o600 });
+  // `mode` only applies when the file is created; tighten config files written by older versions.
+  fs.chmodSync(CONFIG_FILE, 0o600);
+}
+
+function loadConfig(profileName) {
+  let config;
+  try {
+    config = readConfigFile();
+  } catch (error) {
+    exitWithLoggedError(error, 'loadConfig');
   }
 
-  async getReportSummary(startDate, endDate) {
-    this.requirePropertyId();
-    const res = await this.client.properties.runReport({
-      property: `properties/${this.propertyId}`,
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        metrics: [
-          { name: 'sessions' },
-          { name: 'totalUsers' },
-          { name: 'newUsers' },
-          { name: 'screenPageViews' },
-          { name: 'averageSessionDuration' },
-          { name: 'bounceRate' },
-        ],
-      },
-    });
+  if (!config || Object.keys(config.profiles).length === 0) {
+    console.log(`No config found at ${CONFIG_FILE}`);
+    console.log('Run with: ga4 init <path-to-service-account-json> [--profile <name>]');
+    console.log('      or: ga4 auth login --client-secret-file <client_secret.json> | ga4 auth adc');
+    process.exit(1);
+  }
 
-    const row = res.data?.rows?.[0];
-    const m = row?.metricValues || [];
-    return {
-      sessions: m[0]?.value || '0',
-      totalUsers: m[1]?.value || '0',
-      newUsers: m[2]?.value || '0',
-      pageviews: m[3]?.value || '0',
-      averageSessionDuration: m[4]?.value || '0',
-      bounceRate: m[5]?.value || '0',
-    };
+  const name = profileName || config.activeProfile || DEFAULT_PROFILE;
+  const profile = config.profiles[name];
+  if (!profile) {
+    console.error(`Profile "${name}" not found in ${CONFIG_FILE}`);
+    console.error(`Available profiles: ${Object.keys(config.profiles).join(', ')}`);
+    process.exit(1);
   }
 
-  async getTopPagesReport(startDate, endDate, limit = 20) {
-    this.requirePropertyId();
-    const res = await this.client.properties.runReport({
-      property: `properties/${this.propertyId}`,
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        dimensions: [{ name: 'pagePath' }, { name: 'pageTitle' }],
-        metrics: [
-          { name: 'screenPageViews' },
-          { name: 'sessions' },
-          { name: 'bounceRate' },
-          { name: 'averageSessionDuration' },
-        ],
-        orderBys: [{ metric: { metricName: 'screenPageViews' }, desc: true }],
-        limit: String(limit),
-      },
-    });
+  return { profile: name, defaults: {}, ...profile };
+}
 
-    const formatRate = (v) => {
-      const n = parseFloat(v);
-      if (isNaN(n)) return v;
-      return n > 0 && n < 1 ? String(Math.round(n * 1000) / 10) : String(Math.round(n * 10) / 10);
-    };
+const PROFILE_DEFAULT_OPTIONS = ['range', 'limit', 'format'];
 
-    const formatDuration = (v) => {
-      const n = parseFloat(v);
-      return isNaN(n) ? v : String(Math.round(n * 10) / 10);
-    };
+const REPORT_COMMANDS = ['report', 'pages', 'path', 'sources', 'audience', 'events', 'funnel', 'trend', 'query'];
 
-    const rows = res.data?.rows || [];
-    return rows.map((r) => ({
-      path: r.dimensionValues?.[0]?.value || '(not set)',
-      pageTitle: r.dimensionValues?.[1]?.value || '(not set)',
-      views: r.metricValues?.[0]?.value || '0',
-      sessions: r.metricValues?.[1]?.value || '0',
-      bounceRate: formatRate(r.metricValues?.[2]?.value || '0'),
-      engagementTime: formatDuration(r.metricValues?.[3]?.value || '0'),
-    }));
-  }
+// `defaults.<command>` objects (e.g. { "query": { "limit": "1000" } }) win over these.
+const PROFILE_DEFAULT_COMMANDS = {
+  range: REPORT_COMMANDS,
+  limit: ['pages'],
+  format: [...REPORT_COMMANDS, 'realtime'],
+};
 
-  getPathVariants(path) {
-    const p = String(path || '').trim();
-    if (!p) return [];
-    const normalized = p.startsWith('/') ? p : `/${p}`;
-    if (normalized === '/') return ['/'];
-    const withTrailing = normalized.endsWith('/') ? normalized : `${normalized}/`;
-    const withoutTrailing = normalized.endsWith('/') ? normalized.slice(0, -1) : normalized;
-    return [...new Set([withTrailing, withoutTrailing])];
-  }
+function getProfileDefaults(defaults = {}, command, options = {}) {
+  const applied = {};
+  Object.entries(PROFILE_DEFAULT_COMMANDS).forEach(([key, commands]) => {
+    if (defaults[key] !== undefined && commands.includes(command)) applied[key] = defaults[key];
+  });
+  const perCommand = defaults[command];
+  if (perCommand && typeof perCommand === 'object') Object.assign(applied, perCommand);
+  if (options.all) delete applied.limit;
+  return applied;
+}
 
-  async getPathReport(pathInput, startDate, endDate) {
-    this.requirePropertyId();
-    const pathVariants = this.getPathVariants(pathInput);
-    if (pathVariants.length === 0) {
-      throw new Error('Path cannot be empty');
-    }
+function saveProfileAuth(auth, options = {}) {
+  const config = readConfigFile() || { activeProfile: DEFAULT_PROFILE, profiles: {} };
+  const name = options.profile || config.activeProfile || DEFAULT_PROFILE;
+  const existing = { ...config.profiles[name] };
+  AUTH_PROFILE_KEYS.forEach((key) => delete existing[key]);
 
-    const normalized = pathInput.trim().startsWith('/') ? pathInput.trim() : `/${pathInput.trim()}`;
-    const basePath = normalized.endsWith('/') ? normalized.slice(0, -1) : normalized;
+  const defaults = { ...existing.defaults };
+  PROFILE_DEFAULT_OPTIONS.forEach((key) => {
+    if (options[key] !== undefined && options[key] !== true) defaults[key] = options[key];
+  });
+  if (options.impersonate === 'none') {
+    delete existing.impersonate;
+  } else if (options.impersonate) {
+    existing.impersonate = String(options.impersonate);
+  }
 
-    const buildRequest = (dimensionFilter) => ({
-      property: `properties/${this.propertyId}`,
-      requestBody: {
-        dateRanges: [{ startDate, endDate }],
-        dimensions: [{ name: 'pagePath' }],
-        metrics: [
-          { name: 'sessions' },
-          { name: 'totalUsers' },
-          { name: 'newUsers' },
-          { name: 'screenPageViews' },
-          { name: 'eventCount' },
-          { name: 'averageSessionDuration' },
-          { name: 'bounceRate' },
-          { name: 'engagementRate' },
-        ],
-        dimensionFilter,
-      },
-    });
+  config.profiles[name] = {
+    ...existing,
+    ...auth,
+    ...(options.property ? { propertyId: String(options.property) } : {}),
+    ...(Object.keys(defaults).length ? { defaults } : {}),
+  };
+  if (!config.profiles[config.activeProfile]) {
+    config.activeProfile = name;
+  }
+  writeConfigFile(config);
+  return name;
+}
 
-    let res = await this.client.properties.runReport(
-      buildRequest({
-        filter: {
-          fieldName: 'pagePath',
-          inListFilter: {
-            values: pathVariants,
-            caseSensitive: false,
-          },
-        },
-      }),
+async function initGA(credentialsPath, options = {}) {
+  try {
+    validateImpersonateOption(options);
+    const credentials = JSON.parse(fs.readFileSync(credentialsPath, 'utf-8'));
+    const name = saveProfileAuth(
+      { auth: 'service-account', credentialsPath: path.resolve(credentialsPath), credentials },
+      options,
     );
+    console.log(`Configuration saved to profile "${name}"!`);
+  } catch (error) {
+    exitWithLoggedError(error, 'initGA');
+  }
+}
 
-    const getTotalViews = (r) => parseInt(r?.data?.totals?.[0]?.metricValues?.[3]?.value || '0', 10);
-    const getRows = (r) => r?.data?.rows || [];
+function runProfilesCommand(subcommand, name, options = {}) {
+  const config = readConfigFile();
+  if (!config) {
+    throw new Error(`No config found at ${CONFIG_FILE}. Run: ga4 init <path-to-service-account-json>`);
+  }
 
-    if (getTotalViews(res) === 0 && getRows(res).length === 0) {
-      res = await this.client.properties.runReport(
-        buildRequest({
-          filter: {
-            fieldName: 'pagePath',
-            stringFilter: {
-              matchType: 'BEGINS_WITH',
-              value: basePath,
-              caseSensitive: false,
-            },
+  switch (subcommand || 'list') {
+    case 'list': {
+      const profiles = Object.entries(config.profiles).map(([profileName, profile]) => ({
+        active: profileName === config.activeProfile,
+        name: profileName,
+        clientEmail: profile.credentials?.client_email || '',
+        auth: getAuthMethod(profile),
+        identity: getProfileIdentity(profile),
+        propertyId: profile.propertyId ? String(profile.propertyId) : '',
+        defaults: profile.defaults || {},
+      }));
+      printDataset(
+        {
+          table: {
+            columns: [
+              { key: 'marker', label: ' ' },
+              { key: 'name', label: 'Profile' },
+              { key: 'propertyId', label: 'Property' },
+              { key: 'auth', label: 'Auth' },
+              { key: 'identity', label: 'Identity' },
+              { key: 'defaults', label: 'Defaults' },
+            ],
+            rows: profiles.map((p) => ({
+              ...p,
+              marker: p.active ? '*' : '',
+              defaults: Object.entries(p.defaults)
+                .flatMap(([key, value]) =>
+                  value && typeof value === 'object'
+                    ? Object.entries(value).map(([option, v]) => `${key}.${option}=${v}`)
+                    : [`${key}=${value}`],
+                )
+                .join(' '),
+            })),
           },
-        }),
+          json: profiles,
+        },
+        options,
       );
+      return;
+    }
+    case 'use': {
+      if (!name) throw new Error('Usage: ga4 profiles use <name>');
+      if (!config.profiles[name]) throw new Error(`Profile "${name}" not found`);
+      config.activeProfile = name;
+      writeConfigFile(config);
+      console.log(`Active profile: ${name}`);
+      return;
+    }
+    case 'remove': {
+      if (!name) throw new Error('Usage: ga4 profiles remove <name>');
+      if (!config.profiles[name]) throw new Error(`Profile "${name}" not found`);
+      delete config.profiles[name];
+      if (config.activeProfile === name) {
+        config.activeProfile = Object.keys(config.profiles)[0] || DEFAULT_PROFILE;
+      }
+      writeConfigFile(config);
+      console.log(`Removed profile "${name}"`);
+      return;
     }
+    default:
+      throw new Error(`Unsupported profiles command: ${subcommand}`);
+  }
+}
 
-    const rows = getRows(res);
-    const totals = res.data?.totals?.[0]?.metricValues;
+const KNOWN_PROPERTIES_FILE = path.join(CONFIG_DIR, 'properties.json');
 
-    const sumMetric = (metricIndex) =>
-      String(
-        rows.reduce((sum, row) => sum + parseFloat(row.metricValues?.[metricIndex]?.value || '0'), 0),
-      );
+function readKnownProperties() {
+  try {
+    return JSON.parse(fs.readFileSync(KNOWN_PROPERTIES_FILE, 'utf-8'));
+  } catch {
+    return [];
+  }
+}
 
-    const weightedAvg = (metricIndex, weightIndex = 0) => {
-      if (rows.length === 0) return '0';
-      if (rows.length === 1) return rows[0].metricValues?.[metricIndex]?.value || '0';
-      let sumWx = 0;
-      let sumW = 0;
-      rows.forEach((row) => {
-        const w = parseFloat(row.metricValues?.[weightIndex]?.value || '0');
-        sumWx += parseFloat(row.metricValues?.[metricIndex]?.value || '0') * w;
-        sumW += w;
-      });
-      return sumW > 0 ? String(Math.round((sumWx / sumW) * 100) / 100) : '0';
-    };
+function writeKnownProperties(properties) {
+  const known = new Map(readKnownProperties().map((p) => [p.propertyId, p]));
+  properties.forEach(({ propertyId, displayName, account }) => known.set(propertyId, { propertyId, displayName, account }));
+  try {
+    ensureConfigDir();
+    fs.writeFileSync(KNOWN_PROPERTIES_FILE, JSON.stringify([...known.values()], null, 2), 'utf-8');
+  } catch (error) {
+    logError(error, 'writeKnownProperties');
+  }
+}
 
-    const m = totals || [];
-    const formatRate = (v) => {
-      const n = parseFloat(v);
-      if (n > 0 && n < 1) return String(Math.round(n * 1000) / 10);
-      return v;
-    };
-    const formatDuration = (v) => {
-      const n = parseFloat(v);
-      return isNaN(n) ? v : String(Math.round(n * 10) / 10);
-    };
-    const metric = (i) => {
-      let v;
-      if (m[i]?.value) v = m[i].value;
-      else if (rows.length === 0) v = '0';
-      else if ([0, 1, 2, 3, 4].includes(i)) v = sumMetric(i);
-      else v = weightedAvg(i, 0);
-      if (i === 5) v = formatDuration(v);
-      else if (i === 6 || i === 7) v = formatRate(v);
-      return v;
-    };
+const TIMEZONES_FILE = path.join(CONFIG_DIR, 'timezones.json');
+const TIMEZONE_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
 
-    return {
-      path: pathInput,
-      pathVariants,
-      sessions: metric(0),
-      totalUsers: metric(1),
-      newUsers: metric(2),
-      pageviews: metric(3),
-      eventCount: metric(4),
-      averageSessionDuration: metric(5),
-      bounceRate: metric(6),
-      engagementRate: metric(7),
-      byPath: rows.map((r) => ({
-        pagePath: r.dimensionValues?.[0]?.value || '(not set)',
-        sessions: r.metricValues?.[0]?.value || '0',
-        totalUsers: r.metricValues?.[1]?.value || '0',
-        newUsers: r.metricValues?.[2]?.value || '0',
-        pageviews: r.metricValues?.[3]?.value || '0',
-        eventCount: r.metricValues?.[4]?.value || '0',
-        averageSessionDuration: r.metricValues?.[5]?.value || '0',
-        bounceRate: r.metricValues?.[6]?.value || '0',
-        engagementRate: r.metricValues?.[7]?.value || '0',
-      })),
-    };
+function readTimeZoneCache() {
+  try {
+    return JSON.parse(fs.readFileSync(TIMEZONES_FILE, 'utf-8'));
+  } catch {
+    return {};
   }
 }
 
-class GA4TUI {
-  constructor(service) {
-    const blessed = require('blessed');
-    this.blessed = blessed;
-    this.service = service;
-    this.screen = blessed.screen({ smartCSR: true, title: 'GA4 CLI' });
-    this.realtimeInterval = null;
-    this.activeViewId = 0;
-
-    this.mainBox = blessed.box({
-      parent: this.screen,
-      top: 0,
-      left: 0,
-      width: '100%',
-      height: '100%',
-      style: { bg: 'black' },
-    });
+function writeTimeZoneCache(propertyId, timeZone) {
+  const cache = readTimeZoneCache();
+  cache[propertyId] = { timeZone, fetchedAt: new Date().toISOString() };
+  ensureConfigDir();
+  fs.writeFileSync(TIMEZONES_FILE, JSON.stringify(cache, null, 2), 'utf-8');
+}
 
-    this.contentBox = blessed.box({
-      parent: this.mainBox,
-      top: 0,
-      left: 0,
-      width: '100%',
-      height: '100%',
-    });
+const FAVORITES_FILE = path.join(CONFIG_DIR, 'favorites.json');
+const MAX_RECENT_PATHS = 10;
+const UNSAVEABLE_COMMANDS = ['save', 'saved', 'init', 'help', 'tui'];
 
-    this.screen.key(['q', 'C-c'], () => {
-      this.stopRealtime();
-      process.exit(0);
-    });
+function readFavorites() {
+  try {
+    const data = JSON.parse(fs.readFileSync(FAVORITES_FILE, 'utf-8'));
+    return { saved: data.saved || {}, recentPaths: data.recentPaths || [] };
+  } catch {
+    return { saved: {}, recentPaths: [] };
   }
+}
 
-  stopRealtime() {
-    if (this.realtimeInterval) {
-      clearInterval(this.realtimeInterval);
-      this.realtimeInterval = null;
+function writeFavorites(favorites) {
+  ensureConfigDir();
+  fs.writeFileSync(FAVORITES_FILE, JSON.stringify(favorites, null, 2), 'utf-8');
+}
+
+function getSavedQuery(name) {
+  const saved = readFavorites().saved[name];
+  if (!saved) throw new Error(`Saved query "${name}" not found. List them with: ga4 saved list`);
+  return saved;
+}
+
+function addRecentPath(pathInput, { range = 'last7', startDate, endDate } = {}) {
+  try {
+    const favorites = readFavorites();
+    const dates = range === 'custom' ? { startDate, endDate } : {};
+    favorites.recentPaths = [
+      { path: pathInput, range, ...dates, lastUsedAt: new Date().toISOString() },
+      ...favorites.recentPaths.filter((entry) => entry.path !== pathInput),
+    ].slice(0, MAX_RECENT_PATHS);
+    writeFavorites(favorites);
+  } catch (error) {
+    logError(error, 'favorites:recent');
+  }
+}
+
+function formatSavedArgs(args) {
+  return args.map((arg) => (/[\s"'$`\\]/.test(arg) || arg === '' ? JSON.stringify(arg) : arg)).join(' ');
+}
+
+function runSaveCommand(name, args) {
+  if (!name || args.length === 0) {
+    console.error('Usage: ga4 save <name> -- <command> [args...]');
+    process.exit(1);
+  }
+  if (!/^[\w.-]+$/.test(name)) {
+    throw new Error('Saved query names may only contain letters, digits, ".", "_" and "-"');
+  }
+  const { positionals } = parseArgs(args);
+  if (!positionals[0] || UNSAVEABLE_COMMANDS.includes(positionals[0])) {
+    throw new Error(`Cannot save "${positionals[0] || args[0]}"; save a report command such as: ga4 save ${name} -- path /pricing`);
+  }
+
+  const favorites = readFavorites();
+  const existed = Boolean(favorites.saved[name]);
+  favorites.saved[name] = { args, savedAt: new Date().toISOString() };
+  writeFavorites(favorites);
+  console.log(`${existed ? 'Updated' : 'Saved'} "${name}": ga4 ${formatSavedArgs(args)}`);
+}
+
+function runSavedCommand(subcommand, name, options = {}) {
+  const favorites = readFavorites();
+
+  switch (subcommand || 'list') {
+    case 'list': {
+      const rows = Object.entries(favorites.saved).map(([savedName, entry]) => ({
+        name: savedName,
+        command: `ga4 ${formatSavedArgs(entry.args)}`,
+        args: entry.args,
+        savedAt: entry.savedAt,
+      }));
+      printDataset(
+        {
+          table: {
+            columns: [
+              { key: 'name', label: 'Name' },
+              { key: 'command', label: 'Command', width: 80 },
+            ],
+            rows,
+            empty: 'No saved queries. Create one with: ga4 save <name> -- <command> [args...]',
+          },
+          flat: {
+            columns: [
+              { key: 'name', label: 'Name' },
+              { key: 'command', label: 'Command' },
+              { key: 'savedAt', label: 'Saved' },
+            ],
+            rows,
+          },
+          json: rows,
+        },
+        options,
+      );
+      return;
     }
+    case 'delete': {
+      if (!name) throw new Error('Usage: ga4 saved delete <name>');
+      if (!favorites.saved[name]) throw new Error(`Saved query "${name}" not found`);
+      delete favorites.saved[name];
+      writeFavorites(favorites);
+      console.log(`Deleted saved query "${name}"`);
+      return;
+    }
+    default:
+      throw new Error(`Unsupported saved command: ${subcommand}`);
   }
+}
 
-  clearContent() {
-    this.stopRealtime();
-    while (this.contentBox.children.length) {
-      this.contentBox.children[0].destroy();
+const ANALYTICS_SCOPES = ['https://www.googleapis.com/auth/analytics.readonly'];
+// Impersonation calls the IAM Credentials API as the source identity, which needs cloud-platform.
+const IMPERSONATION_SCOPE = 'https://www.googleapis.com/auth/cloud-platform';
+const OAUTH_EMAIL_SCOPE = 'https://www.googleapis.com/auth/userinfo.email';
+const OAUTH_LOGIN_TIMEOUT_MS = 5 * 60 * 1000;
+const AUTH_PROFILE_KEYS = ['auth', 'credentials', 'credentialsPath', 'account'];
+const AUTH_METHOD_LABELS = {
+  'service-account': 'Service account key',
+  oauth: 'OAuth user login',
+  adc: 'Application Default Credentials',
+};
+
+function getAuthMethod(profile) {
+  if (profile.auth) return profile.auth;
+  if (profile.credentials?.type === 'authorized_user') return 'oauth';
+  return profile.credentials ? 'service-account' : 'adc';
+}
+
+function getProfileIdentity(profile) {
+  return profile.impersonate || profile.credentials?.client_email || profile.account || '';
+}
+
+function getAuthScopes(impersonate) {
+  return impersonate ? [...ANALYTICS_SCOPES, IMPERSONATION_SCOPE] : ANALYTICS_SCOPES;
+}
+
+function getAdcFilePath() {
+  if (process.env.GOOGLE_APPLICATION_CREDENTIALS) return process.env.GOOGLE_APPLICATION_CREDENTIALS;
+  const gcloudDir =
+    process.env.CLOUDSDK_CONFIG ||
+    (process.platform === 'win32'
+      ? path.join(process.env.APPDATA || '', 'gcloud')
+      : path.join(process.env.HOME || '', '.config', 'gcloud'));
+  return path.join(gcloudDir, 'application_default_credentials.json');
+}
+
+function describeAuthSource(profile) {
+  switch (getAuthMethod(profile)) {
+    case 'oauth':
+      return `refresh token for ${profile.account || `OAuth client ${profile.credentials?.client_id}`}`;
+    case 'adc': {
+      const adcFile = getAdcFilePath();
+      return fs.existsSync(adcFile) ? adcFile : 'environment / metadata server';
     }
-    this.activeViewId += 1;
+    default:
+      return profile.credentialsPath || 'key stored in config.json';
   }
+}
 
-  async showMenu() {
-    const blessed = this.blessed;
-    this.clearContent();
+function validateImpersonateOption(options) {
+  if (options.impersonate === true) {
+    throw new Error('--impersonate needs a service account email (or "none" to stop impersonating)');
+  }
+}
 
-    const options = [
-      { label: 'Realtime summary', action: () => this.showRealtime() },
-      { label: 'Top pages/screens', action: () => this.showTopPagesDateRange() },
-      { label: 'Path report', action: () => this.showPathInput() },
-      { label: 'Quit', action: () => process.exit(0) },
-    ];
+// The gRPC clients build their own GoogleAuth from these options.
+function getAuthOptions(profile) {
+  const method = getAuthMethod(profile);
+  let credentials = method === 'adc' ? null : profile.credentials;
+  if (profile.impersonate) {
+    if (!credentials) {
+      const adcFile = getAdcFilePath();
+      if (!fs.existsSync(adcFile)) {
+        throw new Error(
+          `Impersonating with Application Default Credentials needs an ADC file; none found at ${adcFile}. ` +
+            'Run: gcloud auth application-default login',
+        );
+      }
+      credentials = JSON.parse(fs.readFileSync(adcFile, 'utf-8'));
+    }
+    const serviceAccount = `projects/-/serviceAccounts/${profile.impersonate}`;
+    credentials = {
+      type: 'impersonated_service_account',
+      service_account_impersonation_url: `https://iamcredentials.googleapis.com/v1/${serviceAccount}:generateAccessToken`,
+      source_credentials: credentials,
+    };
+  }
+  return { ...(credentials ? { credentials } : {}), scopes: getAuthScopes(profile.impersonate) };
+}
 
-    const list = blessed.list({
-      parent: this.contentBox,
-      top: 'center',
-      left: 'center',
-      width: '60%',
-      height: 10,
-      border: { type: 'line' },
-      style: { selected: { bg: 'blue' } },
-      items: options.map((o) => o.label),
-      keys: true,
-      vi: true,
+function readOAuthClient(options, existing = {}) {
+  const file = options['client-secret-file'];
+  if (file && file !== true) {
+    const json = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const client = json.installed || json.web || json;
+    if (!client.client_id || !client.client_secret) {
+      throw new Error(`${file} has no client_id/client_secret; download the JSON of a "Desktop app" OAuth client`);
+    }
+    return { clientId: client.client_id, clientSecret: client.client_secret };
+  }
+  const clientId = options['client-id'] || existing.client_id;
+  const clientSecret = options['client-secret'] || existing.client_secret;
+  if (!clientId || clientId === true || !clientSecret || clientSecret === true) {
+    throw new Error(
+      'Usage: ga4 auth login --client-secret-file <client_secret.json> | --client-id <id> --client-secret <secret>',
+    );
+  }
+  return { clientId: String(clientId), clientSecret: String(clientSecret) };
+}
+
+function openBrowser(url) {
+  const { spawn } = require('child_process');
+  const [command, args] =
+    process.platform === 'darwin'
+      ? ['open', [url]]
+      : process.platform === 'win32'
+        ? ['cmd', ['/c', 'start', '""', url.replace(/&/g, '^&')]]
+        : ['xdg-open', [url]];
+  try {
+    const child = spawn(command, args, { detached: true, stdio: 'ignore' });
+    child.on('error', () => {});
+    child.unref();
+  } catch {
+    // The printed URL is the fallback.
+  }
+}
+
+function waitForOAuthRedirect(server, state) {
+  return new Promise((resolve, reject) => {
+    const minutes = OAUTH_LOGIN_TIMEOUT_MS / 60000;
+    const timer = setTimeout(
+      () => reject(new Error(`Timed out after ${minutes} minutes waiting for the browser sign-in`)),
+      OAUTH_LOGIN_TIMEOUT_MS,
+    );
+    server.on('request', (req, res) => {
+      const url = new URL(req.url, 'http://127.0.0.1');
+      if (url.pathname !== '/' || url.searchParams.get('state') !== state) {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+      const code = url.searchParams.get('code');
+      const error = url.searchParams.get('error') || (code ? null : 'no authorization code returned');
+      res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end(error ? `Sign-in failed: ${error}` : 'Signed in to ga4. You can close this tab.');
+      clearTimeout(timer);
+      if (error) reject(new Error(`Sign-in failed: ${error}`));
+      else resolve(code);
     });
+  });
+}
 
-    blessed.text({
-      parent: this.contentBox,
-      bottom: 0,
-      left: 'center',
-      content: 'Use arrows + Enter. Press q to quit.',
-      style: { fg: 'gray' },
+// The refresh token is stored as an authorized_user credential, the shape gcloud writes for ADC.
+async function runAuthLogin(options) {
+  const { google } = require('googleapis');
+  const http = require('http');
+  const crypto = require('crypto');
+
+  const config = readConfigFile();
+  const name = options.profile || config?.activeProfile || DEFAULT_PROFILE;
+  const existing = config?.profiles[name] || {};
+  const { clientId, clientSecret } = readOAuthClient(
+    options,
+    existing.credentials?.type === 'authorized_user' ? existing.credentials : {},
+  );
+  const impersonate = options.impersonate === 'none' ? null : options.impersonate || existing.impersonate;
+
+  const server = http.createServer();
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', resolve);
+  });
+
+  try {
+    const redirectUri = `http://127.0.0.1:${server.address().port}`;
+    const client = new google.auth.OAuth2(clientId, clientSecret, redirectUri);
+    const { codeVerifier, codeChallenge } = await client.generateCodeVerifierAsync();
+    const state = crypto.randomBytes(16).toString('hex');
+    const url = client.generateAuthUrl({
+      access_type: 'offline',
+      prompt: 'consent',
+      scope: [...getAuthScopes(impersonate), OAUTH_EMAIL_SCOPE],
+      state,
+      code_challenge_method: 'S256',
+      code_challenge: codeChallenge,
     });
 
-    list.focus();
-    list.key('enter', () => options[list.selected].action());
-    this.screen.render();
+    const redirect = waitForOAuthRedirect(server, state);
+    console.error(`Sign in with the Google account that has access to your GA4 properties:\n\n  ${url}\n`);
+    if (!options['no-browser']) openBrowser(url);
+    console.error(`Waiting for the redirect to ${redirectUri} ...`);
+    const code = await redirect;
+
+    const { tokens } = await client.getToken({ code, codeVerifier });
+    if (!tokens.refresh_token) {
+      throw new Error(
+        'Google did not return a refresh token; remove ga4 from https://myaccount.google.com/permissions and retry',
+      );
+    }
+    let account = '';
+    try {
+      account = (await client.getTokenInfo(tokens.access_token)).email || '';
+    } catch (error) {
+      logError(error, 'auth:login:tokeninfo');
+    }
+
+    const profile = saveProfileAuth(
+      {
+        auth: 'oauth',
+        credentials: {
+          type: 'authorized_user',
+          client_id: clientId,
+          client_secret: clientSecret,
+          refresh_token: tokens.refresh_token,
+        },
+        ...(account ? { account } : {}),
+      },
+      { ...options, profile: name },
+    );
+    console.log(`Signed in${account ? ` as ${account}` : ''}; credentials saved to profile "${profile}"`);
+  } finally {
+    server.closeAllConnections();
+    server.close();
   }
+}
 
-  showDateRangeSelector(title, onSelect, onBack) {
-    const blessed = this.blessed;
-    this.clearContent();
-    const options = [
-      { label: 'Today', value: 'today' },
-      { label: 'Yesterday', value: 'yesterday' },
-      { label: 'Last 7 days', value: 'last7' },
-      { label: 'Last 30 days', value: 'last30' },
-      { label: 'Custom (enter start/end date)', value: 'custom' },
-      { label: 'Back', value: 'back' },
-    ];
+function runAuthAdc(options) {
+  const name = saveProfileAuth({ auth: 'adc' }, options);
+  const adcFile = getAdcFilePath();
+  console.log(`Profile "${name}" now uses Application Default Credentials`);
+  if (fs.existsSync(adcFile)) {
+    console.log(`Credentials file: ${adcFile}`);
+  } else {
+    console.log(`No ADC file at ${adcFile}; the metadata server is used when running on Google Cloud.`);
+    const scopes = [...ANALYTICS_SCOPES, IMPERSONATION_SCOPE].join(',');
+    console.log(`Create one with: gcloud auth application-default login --scopes=${scopes}`);
+  }
+}
 
-    const list = blessed.list({
-      parent: this.contentBox,
-      top: 'center',
-      left: 'center',
-      width: '70%',
-      height: 12,
-      border: { type: 'line' },
-      label: ` ${title} `,
-      keys: true,
-      vi: true,
-      style: { selected: { bg: 'blue' } },
-      items: options.map((o) => o.label),
-    });
+async function runAuthCommand(subcommand, options = {}) {
+  validateImpersonateOption(options);
+  switch (subcommand || 'status') {
+    case 'login':
+      await runAuthLogin(options);
+      return;
+    case 'adc':
+      runAuthAdc(options);
+      return;
+    case 'status': {
+      const service = new GA4Service({ profile: options.profile });
+      const status = await service.getAuthStatus();
+      printDataset(
+        {
+          record: {
+            columns: [
+              { key: 'profile', label: 'Profile' },
+              { key: 'method', label: 'Method', display: (v) => AUTH_METHOD_LABELS[v] || v },
+              { key: 'identity', label: 'Identity', display: (v) => v || '(unknown)' },
+              { key: 'impersonate', label: 'Impersonating', display: (v) => v || '-' },
+              { key: 'source', label: 'Credentials' },
+              { key: 'requestedScopes', label: 'Requested scopes', display: (v) => v.join(' ') },
+              { key: 'grantedScopes', label: 'Granted scopes', display: (v) => v.join(' ') || '-' },
+              { key: 'expiresAt', label: 'Token expires', display: (v) => v || '-' },
+              { key: 'error', label: 'Status', display: (v) => (v ? `Error: ${v}` : 'OK') },
+            ],
+            row: status,
+          },
+          json: status,
+        },
+        options,
+      );
+      if (status.error) process.exitCode = 1;
+      return;
+    }
+    default:
+      throw new Error(`Unsupported auth command: ${subcommand}`);
+  }
+}
 
-    list.focus();
-    list.key(['escape', 'b'], () => onBack());
-    list.key('enter', () => {
-      const selected = options[list.selected];
-      if (!selected || selected.value === 'back') {
-        onBack();
-        return;
+class GA4Service {
+  constructor(options = {}) {
+    this.config = loadConfig(options.profile);
+    const { google } = require('googleapis');
+    this.authOptions = getAuthOptions(this.config);
+    this.auth = new google.auth.GoogleAuth(this.authOptions);
+    this.client = google.analyticsdata({ version: 'v1beta', auth: this.auth });
+    this.adminClient = null;
+    this.funnelClient = null;
+    this.batchQueue = null;
+    this.cacheMode = options.cacheMode || 'use';
+    this.quota = { core: null, realtime: null, funnel: null };
+    this.retry = { ...DEFAULT_RETRY, ...this.config.retry };
+    if (options.retries !== undefined) this.retry.retries = options.retries;
+    this.properties = [];
+    this.timeZones = {};
+    this.fallbackTimeZones = {};
+    this.propertyId = this.config.propertyId ? String(this.config.propertyId) : null;
+  }
+
+  setPropertyId(propertyId) {
+    this.propertyId = String(propertyId);
+  }
+
+  // Shares clients and lookups; keeps its own property, quota and batch queue.
+  forProperty(propertyId) {
+    const service = Object.assign(Object.create(GA4Service.prototype), this);
+    service.propertyId = String(propertyId);
+    service.quota = { core: null, realtime: null, funnel: null };
+    service.batchQueue = this.batchQueue ? [] : null;
+    return service;
+  }
+
+  // Same property, quota and lookups, with its own cache mode.
+  withCacheMode(cacheMode) {
+    const service = Object.assign(Object.create(GA4Service.prototype), this);
+    service.cacheMode = cacheMode;
+    return service;
+  }
+
+  async getAuthStatus() {
+    const status = {
+      profile: this.config.profile,
+      method: getAuthMethod(this.config),
+      identity: getProfileIdentity(this.config),
+      impersonate: this.config.impersonate || '',
+      source: describeAuthSource(this.config),
+      requestedScopes: this.authOptions.scopes,
+      grantedScopes: [],
+      expiresAt: '',
+      error: '',
+    };
+
+    if (!status.identity) {
+      status.identity = (await this.auth.getCredentials().catch(() => ({}))).client_email || '';
+    }
+
+    try {
+      const client = await this.auth.getClient();
+      const { token } = await client.getAccessToken();
+      const { google } = require('googleapis');
+      const info = await new google.auth.OAuth2().getTokenInfo(token);
+      status.grantedScopes = info.scopes || [];
+      status.expiresAt = info.expiry_date ? new Date(info.expiry_date).toISOString() : '';
+      if (!status.identity) status.identity = info.email || '';
+      if (!status.grantedScopes.some((scope) => /\/auth\/analytics(\.readonly)?$/.test(scope))) {
+        status.error = `the token has no Google Analytics scope; request ${ANALYTICS_SCOPES[0]}`;
       }
+    } catch (error) {
+      logError(error, 'auth:status');
+      status.error = error.message;
+    }
+    return status;
+  }
 
-      if (selected.value === 'custom') {
-        this.showCustomDateRangeInput(onSelect, () => this.showDateRangeSelector(title, onSelect, onBack));
-        return;
+  async getTimeZone() {
+    if (this.config.timeZone) {
+      if (!isValidTimeZone(this.config.timeZone)) {
+        throw new Error(`Invalid timeZone "${this.config.timeZone}" in profile "${this.config.profile}"`);
       }
+      return this.config.timeZone;
+    }
+    if (!this.propertyId) return getLocalTimeZone();
+    if (this.timeZones[this.propertyId]) return this.timeZones[this.propertyId];
+    if (this.fallbackTimeZones[this.propertyId]) return this.fallbackTimeZones[this.propertyId];
 
-      const range = getDateRange(selected.value);
-      onSelect({
-        ...range,
-        rangeLabel: selected.label,
-      });
-    });
+    const cached = readTimeZoneCache()[this.propertyId];
+    if (cached && Date.now() - Date.parse(cached.fetchedAt) < TIMEZONE_CACHE_TTL_MS && isValidTimeZone(cached.timeZone)) {
+      this.timeZones[this.propertyId] = cached.timeZone;
+      return cached.timeZone;
+    }
 
-    blessed.text({
-      parent: this.contentBox,
-      bottom: 0,
-      left: 'center',
-      content: 'Choose range and press Enter. Esc/B to go back.',
-      style: { fg: 'gray' },
-    });
+    try {
+      const [property] = await withRetry(
+        () => this.getAdminClient().getProperty({ name: `properties/${this.propertyId}` }),
+        { ...this.retry, context: 'getProperty' },
+      );
+      if (property?.timeZone && isValidTimeZone(property.timeZone)) {
+        writeTimeZoneCache(this.propertyId, property.timeZone);
+        this.timeZones[this.propertyId] = property.timeZone;
+        return property.timeZone;
+      }
+    } catch (error) {
+      logError(error, 'getTimeZone');
+    }
+    this.fallbackTimeZones[this.propertyId] = getLocalTimeZone();
+    return this.fallbackTimeZones[this.propertyId];
+  }
 
-    this.screen.render();
+  // Null when only the local fallback is known, so "today" may be wrong and nothing is cached.
+  async getCacheTimeZone() {
+    const timeZone = await this.getTimeZone();
+    return this.config.timeZone || this.timeZones[this.propertyId] ? timeZone : null;
   }
 
-  showCustomDateRangeInput(onSelect, onBack) {
-    const blessed = this.blessed;
-    this.clearContent();
+  requirePropertyId() {
+    if (!this.propertyId) {
+      throw new Error(
+        `No property selected. Provide --property <id> or run: ga4 init <json> --profile ${this.config.profile} --property <id>`,
+      );
+    }
+  }
 
-    const form = blessed.form({
-      parent: this.contentBox,
-      top: 'center',
-      left: 'center',
-      width: '70%',
-      height: 13,
-      border: { type: 'line' },
-      label: ' Custom Date Range ',
-      keys: true,
-    });
+  callDataApi(method, params) {
+    return withRetry(() => this.client.properties[method](params), { ...this.retry, context: method });
+  }
 
-    blessed.text({
-      parent: form,
-      top: 1,
-      left: 2,
-      content: 'Enter both dates: YYYY-MM-DD YYYY-MM-DD',
-    });
-    blessed.text({
-      parent: form,
-      top: 2,
-      left: 2,
-      content: 'Example: 2026-02-01 2026-02-25',
-      style: { fg: 'gray' },
-    });
+  // Core reports go through the on-disk cache; cacheMode "refresh" skips reads, "off" skips reads and writes.
+  async runReport(requestBody) {
+    this.requirePropertyId();
+    const property = `properties/${this.propertyId}`;
+    const key = getCacheKey(property, requestBody);
 
-    const input = blessed.textbox({
-      parent: form,
-      top: 4,
-      left: 2,
-      width: '95%-4',
-      height: 3,
-      border: { type: 'line' },
-      inputOnFocus: true,
-      name: 'dates',
+    if (this.cacheMode === 'use') {
+      const cached = readCacheEntry(key);
+      if (cached) return { data: cached };
+    }
+
+    const params = { property, requestBody: { ...requestBody, returnPropertyQuota: true } };
+    const res = this.batchQueue ? await this.enqueueBatchedReport(params) : await this.callDataApi('runReport', params);
+    this.quota.core = res.data?.propertyQuota || this.quota.core;
+    const timeZone = this.cacheMode !== 'off' && (await this.getCacheTimeZone());
+    if (timeZone) {
+      writeCacheEntry(key, property, requestBody, res.data, getCacheTtl(requestBody, timeZone));
+    }
+    return res;
+  }
+
+  // runReport calls issued in the same tick are sent together through batchRunReports.
+  enableBatching() {
+    this.batchQueue = this.batchQueue || [];
+  }
+
+  enqueueBatchedReport(params) {
+    return new Promise((resolve, reject) => {
+      this.batchQueue.push({ params, resolve, reject });
+      if (this.batchQueue.length === 1) setImmediate(() => this.flushBatch());
     });
+  }
 
-    const errorText = blessed.text({
-      parent: form,
-      top: 8,
-      left: 2,
-      content: '',
-      style: { fg: 'red' },
+  async flushBatch() {
+    // batchRunReports takes one property for all of its requests.
+    const byProperty = new Map();
+    this.batchQueue.splice(0).forEach((entry) => {
+      const { property } = entry.params;
+      if (!byProperty.has(property)) byProperty.set(property, []);
+      byProperty.get(property).push(entry);
+    });
+    for (const queue of byProperty.values()) {
+      await this.flushBatchChunks(queue);
+    }
+  }
+
+  async flushBatchChunks(queue) {
+    for (let i = 0; i < queue.length; i += BATCH_REPORT_LIMIT) {
+      const chunk = queue.slice(i, i + BATCH_REPORT_LIMIT);
+      const runAlone = (entry) => this.callDataApi('runReport', entry.params).then(entry.resolve, entry.reject);
+      if (chunk.length === 1) {
+        await runAlone(chunk[0]);
+        continue;
+      }
+
+      try {
+        const res = await this.callDataApi('batchRunReports', {
+          property: chunk[0].params.property,
+          requestBody: { requests: chunk.map((entry) => entry.params.requestBody) },
+        });
+        chunk.forEach((entry, j) => entry.resolve({ data: res.data?.reports?.[j] || {} }));
+      } catch (error) {
+        // One invalid request fails the whole batch; retry each alone to find the culprit.
+        logError(error, 'batchRunReports:fallback');
+        await Promise.all(chunk.map(runAlone));
+      }
+    }
+  }
+
+  async runRealtimeReport(requestBody) {
+    this.requirePropertyId();
+    const res = await this.callDataApi('runRealtimeReport', {
+      property: `properties/${this.propertyId}`,
+      requestBody: { ...requestBody, returnPropertyQuota: true },
+    });
+    this.quota.realtime = res.data?.propertyQuota || this.quota.realtime;
+    return res;
+  }
+
+  getFunnelClient() {
+    if (!this.funnelClient) {
+      const { AlphaAnalyticsDataClient } = require('@google-analytics/data').v1alpha;
+      this.funnelClient = new AlphaAnalyticsDataClient({ ...this.authOptions });
+    }
+    return this.funnelClient;
+  }
+
+  // Funnel reports are v1alpha only, which googleapis does not expose.
+  async runFunnelReport(request) {
+    this.requirePropertyId();
+    const property = `properties/${this.propertyId}`;
+    const key = getCacheKey(property, { runFunnelReport: request });
+
+    if (this.cacheMode === 'use') {
+      const cached = readCacheEntry(key);
+      if (cached) return cached;
+    }
+
+    const [response] = await withRetry(
+      () => this.getFunnelClient().runFunnelReport({ property, ...request, returnPropertyQuota: true }),
+      { ...this.retry, context: 'runFunnelReport' },
+    );
+    const data = JSON.parse(JSON.stringify(response));
+    this.quota.funnel = data.propertyQuota || this.quota.funnel;
+    const timeZone = this.cacheMode !== 'off' && (await this.getCacheTimeZone());
+    if (timeZone) {
+      writeCacheEntry(key, property, request, data, getCacheTtl(request, timeZone));
+    }
+    return data;
+  }
+
+  getAdminClient() {
+    if (!this.adminClient) {
+      const { AnalyticsAdminServiceClient } = require('@google-analytics/admin');
+      this.adminClient = new AnalyticsAdminServiceClient({ ...this.authOptions });
+    }
+    return this.adminClient;
+  }
+
+  async listAccounts() {
+    const accounts = [];
+    for await (const summary of this.getAdminClient().listAccountSummariesAsync({})) {
+      accounts.push({
+        accountId: String(summary.account || '').replace('accounts/', ''),
+        displayName: summary.displayName || '(unnamed)',
+        propertyCount: (summary.propertySummaries || []).length,
+      });
+    }
+    return accounts;
+  }
+
+  async listProperties(accountId) {
+    const accounts = await this.listAccounts();
+    const selected = accountId ? accounts.filter((a) => a.accountId === String(accountId)) : accounts;
+    if (accountId && selected.length === 0) {
+      throw new Error(`Account ${accountId} is not visible to these credentials`);
+    }
+
+    const properties = [];
+    for (const account of selected) {
+      const iterable = this.getAdminClient().listPropertiesAsync({ filter: `parent:accounts/${account.accountId}` });
+      for await (const property of iterable) {
+        properties.push({
+          accountId: account.accountId,
+          account: account.displayName,
+          propertyId: String(property.name || '').replace('properties/', ''),
+          displayName: property.displayName || '(unnamed)',
+          timeZone: property.timeZone || '',
+          currency: property.currencyCode || '',
+        });
+      }
+    }
+
+    this.properties = properties;
+    writeKnownProperties(properties);
+    return properties;
+  }
+
+  // Realtime has no pagePath, so a path maps to the page titles (`unifiedScreenName`) it was seen with.
+  async getPageTitlesForPath(pathInput) {
+    const res = await this.runReport({
+      dateRanges: [{ startDate: '7daysAgo', endDate: 'today' }],
+      dimensions: [{ name: 'pageTitle' }],
+      metrics: [{ name: 'screenPageViews' }],
+      orderBys: [{ metric: { metricName: 'screenPageViews' }, desc: true }],
+      limit: '20',
+      dimensionFilter: this.getPathFilter(pathInput),
+    });
+    return (res.data?.rows || []).map((r) => r.dimensionValues?.[0]?.value).filter((title) => title && title !== '(not set)');
+  }
+
+  buildRealtimeRequest({ minutes, screenNames } = {}) {
+    return {
+      ...(minutes ? { minuteRanges: [{ startMinutesAgo: minutes - 1, endMinutesAgo: 0 }] } : {}),
+      ...(screenNames?.length
+        ? { dimensionFilter: { filter: { fieldName: 'unifiedScreenName', inListFilter: { values: screenNames } } } }
+        : {}),
+    };
+  }
+
+  async getRealtimeSummary(scope = {}) {
+    this.requirePropertyId();
+    const res = await this.runRealtimeReport({
+      ...this.buildRealtimeRequest(scope),
+      metrics: [{ name: 'activeUsers' }, { name: 'screenPageViews' }, { name: 'eventCount' }],
+    });
+
+    const row = res.data?.rows?.[0];
+    return {
+      activeUsers: row?.metricValues?.[0]?.value || '0',
+      screenPageViews: row?.metricValues?.[1]?.value || '0',
+      eventCount: row?.metricValues?.[2]?.value || '0',
+    };
+  }
+
+  async getRealtimeTopPages(limit = 20, scope = {}) {
+    const rows = await this.getRealtimeBreakdown({ ...scope, by: 'unifiedScreenName', limit });
+    return rows.map((r) => ({ page: r.unifiedScreenName, views: r.screenPageViews }));
+  }
+
+  async getRealtimeBreakdown({ by, limit = 20, ...scope }) {
+    this.requirePropertyId();
+    if (!REALTIME_DIMENSIONS.includes(by)) {
+      throw new Error(`--by must be one of: ${REALTIME_DIMENSIONS.join(', ')}`);
+    }
+    const res = await this.runRealtimeReport({
+      ...this.buildRealtimeRequest(scope),
+      dimensions: [{ name: by }],
+      metrics: [{ name: 'activeUsers' }, { name: 'screenPageViews' }],
+      orderBys: [{ metric: { metricName: by === 'unifiedScreenName' ? 'screenPageViews' : 'activeUsers' }, desc: true }],
+      limit: String(limit),
+    });
+    return (res.data?.rows || []).map((r) => ({
+      [by]: r.dimensionValues?.[0]?.value || '(not set)',
+      activeUsers: r.metricValues?.[0]?.value || '0',
+      screenPageViews: r.metricValues?.[1]?.value || '0',
+    }));
+  }
+
+  // The API omits minutes without activity.
+  async getRealtimeMinutes({ minutes = 30, screenNames } = {}) {
+    this.requirePropertyId();
+    const res = await this.runRealtimeReport({
+      ...this.buildRealtimeRequest({ minutes, screenNames }),
+      dimensions: [{ name: 'minutesAgo' }],
+      metrics: [{ name: 'activeUsers' }, { name: 'screenPageViews' }],
+      limit: String(minutes),
+    });
+    const byMinute = new Map(
+      (res.data?.rows || []).map((r) => [
+        parseInt(r.dimensionValues?.[0]?.value, 10),
+        { activeUsers: r.metricValues?.[0]?.value || '0', screenPageViews: r.metricValues?.[1]?.value || '0' },
+      ]),
+    );
+    return Array.from({ length: minutes }, (_, i) => {
+      const minutesAgo = minutes - 1 - i;
+      return { minutesAgo, ...(byMinute.get(minutesAgo) || { activeUsers: '0', screenPageViews: '0' }) };
+    });
+  }
+
+  async getReportSummary(startDate, endDate, compareRange) {
+    this.requirePropertyId();
+    const res = await this.runReport({
+      dateRanges: buildDateRanges(startDate, endDate, compareRange),
+      metrics: [
+        { name: 'sessions' },
+        { name: 'totalUsers' },
+        { name: 'newUsers' },
+        { name: 'screenPageViews' },
+        { name: 'averageSessionDuration' },
+        { name: 'bounceRate' },
+      ],
+    });
+
+    const toSummary = (row) => {
+      const m = row?.metricValues || [];
+      return {
+        sessions: m[0]?.value || '0',
+        totalUsers: m[1]?.value || '0',
+        newUsers: m[2]?.value || '0',
+        pageviews: m[3]?.value || '0',
+        averageSessionDuration: m[4]?.value || '0',
+        bounceRate: m[5]?.value || '0',
+      };
+    };
+
+    if (!compareRange) return toSummary(res.data?.rows?.[0]);
+    const { current, previous } = splitRowsByDateRange(res.data);
+    return compareMetrics(toSummary(current[0]), toSummary(previous[0]));
+  }
+
+  buildTopPagesRequest(dateRange, rowLimit, dimensionFilter, { offset = 0, sort = 'views', desc = true } = {}) {
+    const sortField = TOP_PAGES_SORT_FIELDS[sort];
+    if (!sortField) {
+      throw new Error(`Sort must be one of: ${Object.keys(TOP_PAGES_SORT_FIELDS).join(', ')}`);
+    }
+    return {
+      dateRanges: [dateRange],
+      dimensions: [{ name: 'pagePath' }, { name: 'pageTitle' }],
+      metrics: [
+        { name: 'screenPageViews' },
+        { name: 'sessions' },
+        { name: 'bounceRate' },
+        { name: 'averageSessionDuration' },
+      ],
+      orderBys: [{ ...sortField, desc }],
+      limit: String(rowLimit),
+      ...(offset > 0 ? { offset: String(offset) } : {}),
+      ...(dimensionFilter ? { dimensionFilter } : {}),
+    };
+  }
+
+  parseTopPagesRows(data) {
+    const formatRate = (v) => {
+      const n = parseFloat(v);
+      if (isNaN(n)) return v;
+      return n > 0 && n < 1 ? String(Math.round(n * 1000) / 10) : String(Math.round(n * 10) / 10);
+    };
+
+    const formatDuration = (v) => {
+      const n = parseFloat(v);
+      return isNaN(n) ? v : String(Math.round(n * 10) / 10);
+    };
+
+    return (data?.rows || []).map((r) => ({
+      path: r.dimensionValues?.[0]?.value || '(not set)',
+      pageTitle: r.dimensionValues?.[1]?.value || '(not set)',
+      views: r.metricValues?.[0]?.value || '0',
+      sessions: r.metricValues?.[1]?.value || '0',
+      bounceRate: formatRate(r.metricValues?.[2]?.value || '0'),
+      engagementTime: formatDuration(r.metricValues?.[3]?.value || '0'),
+    }));
+  }
+
+  // The previous window is restricted to the current top paths.
+  async getTopPagesReport(startDate, endDate, limit = 20, compareRange, order = {}) {
+    const res = await this.runReport(this.buildTopPagesRequest({ startDate, endDate }, limit, undefined, order));
+    const rows = this.parseTopPagesRows(res.data);
+    if (!compareRange || rows.length === 0) return rows;
+
+    const previousRes = await this.runReport(
+      this.buildTopPagesRequest({ startDate: compareRange.startDate, endDate: compareRange.endDate }, 10000, {
+        filter: {
+          fieldName: 'pagePath',
+          inListFilter: { values: [...new Set(rows.map((r) => r.path))] },
+        },
+      }),
+    );
+    const previousRows = this.parseTopPagesRows(previousRes.data);
+    const rowKey = (r) => `${r.path}\n${r.pageTitle}`;
+    const previousByKey = new Map(previousRows.map((r) => [rowKey(r), r]));
+    const metricKeys = ['views', 'sessions', 'bounceRate', 'engagementTime'];
+    const pick = (r) => Object.fromEntries(metricKeys.map((key) => [key, r?.[key] || '0']));
+
+    return rows.map((row) => ({
+      path: row.path,
+      pageTitle: row.pageTitle,
+      ...compareMetrics(pick(row), pick(previousByKey.get(rowKey(row)))),
+    }));
+  }
+
+  async *iterateTopPages(startDate, endDate, pageSize) {
+    for await (const page of this.iterateReport(this.buildTopPagesRequest({ startDate, endDate }, pageSize), pageSize)) {
+      yield { ...page, rows: this.parseTopPagesRows(page.data) };
+    }
+  }
+
+  getPathVariants(path) {
+    const p = String(path || '').trim();
+    if (!p) return [];
+    const normalized = p.startsWith('/') ? p : `/${p}`;
+    if (normalized === '/') return ['/'];
+    const withTrailing = normalized.endsWith('/') ? normalized : `${normalized}/`;
+    const withoutTrailing = normalized.endsWith('/') ? normalized.slice(0, -1) : normalized;
+    return [...new Set([withTrailing, withoutTrailing])];
+  }
+
+  getPathFilter(pathInput) {
+    const pathVariants = this.getPathVariants(pathInput);
+    if (pathVariants.length === 0) throw new Error('Path cannot be empty');
+    return { filter: { fieldName: 'pagePath', inListFilter: { values: pathVariants, caseSensitive: false } } };
+  }
+
+  async getPathReport(pathInput, startDate, endDate, compareRange) {
+    this.requirePropertyId();
+    const pathVariants = this.getPathVariants(pathInput);
+    if (pathVariants.length === 0) {
+      throw new Error('Path cannot be empty');
+    }
+
+    const normalized = pathInput.trim().startsWith('/') ? pathInput.trim() : `/${pathInput.trim()}`;
+    const basePath = normalized.endsWith('/') ? normalized.slice(0, -1) : normalized;
+
+    const buildRequest = (dimensionFilter) => ({
+      dateRanges: buildDateRanges(startDate, endDate, compareRange),
+      dimensions: [{ name: 'pagePath' }],
+      metrics: PATH_REPORT_METRICS.map((name) => ({ name })),
+      dimensionFilter,
+    });
+
+    let res = await this.runReport(
+      buildRequest({
+        filter: {
+          fieldName: 'pagePath',
+          inListFilter: {
+            values: pathVariants,
+            caseSensitive: false,
+          },
+        },
+      }),
+    );
+
+    const getTotalViews = (r) => parseInt(r?.data?.totals?.[0]?.metricValues?.[3]?.value || '0', 10);
+    const getRows = (r) => r?.data?.rows || [];
+
+    if (getTotalViews(res) === 0 && getRows(res).length === 0) {
+      res = await this.runReport(
+        buildRequest({
+          filter: {
+            fieldName: 'pagePath',
+            stringFilter: {
+              matchType: 'BEGINS_WITH',
+              value: basePath,
+              caseSensitive: false,
+            },
+          },
+        }),
+      );
+    }
+
+    const summarize = (rows, totals = []) => {
+      const sumMetric = (metricIndex) =>
+        String(
+          rows.reduce((sum, row) => sum + parseFloat(row.metricValues?.[metricIndex]?.value || '0'), 0),
+        );
+
+      const weightedAvg = (metricIndex, weightIndex = 0) => {
+        if (rows.length === 0) return '0';
+        if (rows.length === 1) return rows[0].metricValues?.[metricIndex]?.value || '0';
+        let sumWx = 0;
+        let sumW = 0;
+        rows.forEach((row) => {
+          const w = parseFloat(row.metricValues?.[weightIndex]?.value || '0');
+          sumWx += parseFloat(row.metricValues?.[metricIndex]?.value || '0') * w;
+          sumW += w;
+        });
+        return sumW > 0 ? String(Math.round((sumWx / sumW) * 100) / 100) : '0';
+      };
+
+      const metric = (i) => {
+        let v;
+        if (totals[i]?.value) v = totals[i].value;
+        else if (rows.length === 0) v = '0';
+        else if ([0, 1, 2, 3, 4].includes(i)) v = sumMetric(i);
+        else v = weightedAvg(i, 0);
+        if (i === 5) v = formatPathDuration(v);
+        else if (i === 6 || i === 7) v = formatPathRate(v);
+        return v;
+      };
+
+      return {
+        sessions: metric(0),
+        totalUsers: metric(1),
+        newUsers: metric(2),
+        pageviews: metric(3),
+        eventCount: metric(4),
+        averageSessionDuration: metric(5),
+        bounceRate: metric(6),
+        engagementRate: metric(7),
+      };
+    };
+
+    let rows = getRows(res);
+    let metrics;
+    if (compareRange) {
+      const split = splitRowsByDateRange(res.data);
+      rows = split.current;
+      metrics = compareMetrics(summarize(split.current), summarize(split.previous));
+    } else {
+      metrics = summarize(rows, res.data?.totals?.[0]?.metricValues);
+    }
+
+    return {
+      path: pathInput,
+      pathVariants,
+      ...metrics,
+      byPath: rows.map((r) => ({
+        pagePath: r.dimensionValues?.[0]?.value || '(not set)',
+        sessions: r.metricValues?.[0]?.value || '0',
+        totalUsers: r.metricValues?.[1]?.value || '0',
+        newUsers: r.metricValues?.[2]?.value || '0',
+        pageviews: r.metricValues?.[3]?.value || '0',
+        eventCount: r.metricValues?.[4]?.value || '0',
+        averageSessionDuration: r.metricValues?.[5]?.value || '0',
+        bounceRate: r.metricValues?.[6]?.value || '0',
+        engagementRate: r.metricValues?.[7]?.value || '0',
+      })),
+    };
+  }
+
+  buildPathMatchFilter(paths, match = 'exact') {
+    if (!(match in PATH_MATCH_TYPES)) {
+      throw new Error(`--match must be one of: ${Object.keys(PATH_MATCH_TYPES).join(', ')}`);
+    }
+    if (match === 'exact') {
+      const values = [...new Set(paths.flatMap((p) => this.getPathVariants(p)))];
+      if (values.length === 0) throw new Error('Path cannot be empty');
+      return { filter: { fieldName: 'pagePath', inListFilter: { values, caseSensitive: false } } };
+    }
+
+    const expressions = paths
+      .map((value) => String(value).trim())
+      .filter(Boolean)
+      .map((value) => ({
+        filter: { fieldName: 'pagePath', stringFilter: { matchType: PATH_MATCH_TYPES[match], value, caseSensitive: false } },
+      }));
+    if (expressions.length === 0) throw new Error('Path cannot be empty');
+    return expressions.length === 1 ? expressions[0] : { orGroup: { expressions } };
+  }
+
+  // Users overlap across pages, so the group total is a separate request without pagePath.
+  async getPathGroupReport({ paths, match = 'exact', startDate, endDate, compareRange, limit = 100 }) {
+    this.requirePropertyId();
+    const metrics = PATH_REPORT_METRICS.map((name) => ({ name }));
+    const dimensionFilter = this.buildPathMatchFilter(paths, match);
+    const buildByPathRequest = (dateRange, filter, rowLimit) => ({
+      dateRanges: [dateRange],
+      dimensions: [{ name: 'pagePath' }],
+      metrics,
+      dimensionFilter: filter,
+      orderBys: [{ metric: { metricName: 'screenPageViews' }, desc: true }],
+      limit: String(rowLimit),
+    });
+
+    // Rows are fetched per range so previous-period rows cannot crowd out current ones under the limit.
+    const [byPathRes, totalRes] = await Promise.all([
+      this.runReport(buildByPathRequest({ startDate, endDate }, dimensionFilter, limit)),
+      this.runReport({ dateRanges: buildDateRanges(startDate, endDate, compareRange), metrics, dimensionFilter }),
+    ]);
+
+    const toMetrics = (row) => {
+      const m = row?.metricValues || [];
+      return {
+        sessions: m[0]?.value || '0',
+        totalUsers: m[1]?.value || '0',
+        newUsers: m[2]?.value || '0',
+        pageviews: m[3]?.value || '0',
+        eventCount: m[4]?.value || '0',
+        averageSessionDuration: formatPathDuration(m[5]?.value || '0'),
+        bounceRate: formatPathRate(m[6]?.value || '0'),
+        engagementRate: formatPathRate(m[7]?.value || '0'),
+      };
+    };
+    const pathOf = (row) => row.dimensionValues?.[0]?.value || '(not set)';
+    const rows = byPathRes.data?.rows || [];
+
+    if (!compareRange) {
+      return {
+        paths,
+        match,
+        rowCount: byPathRes.data?.rowCount || 0,
+        ...toMetrics(totalRes.data?.rows?.[0]),
+        byPath: rows.map((row) => ({ pagePath: pathOf(row), ...toMetrics(row) })),
+      };
+    }
+
+    const currentPaths = [...new Set(rows.map(pathOf))];
+    const previousRes = currentPaths.length
+      ? await this.runReport(
+          buildByPathRequest(
+            { startDate: compareRange.startDate, endDate: compareRange.endDate },
+            { filter: { fieldName: 'pagePath', inListFilter: { values: currentPaths } } },
+            currentPaths.length,
+          ),
+        )
+      : null;
+    const previousByPath = new Map((previousRes?.data?.rows || []).map((row) => [pathOf(row), toMetrics(row)]));
+    const totals = splitRowsByDateRange(totalRes.data);
+    return {
+      paths,
+      match,
+      rowCount: byPathRes.data?.rowCount || 0,
+      ...compareMetrics(toMetrics(totals.current[0]), toMetrics(totals.previous[0])),
+      byPath: rows.map((row) => ({
+        pagePath: pathOf(row),
+        ...compareMetrics(toMetrics(row), previousByPath.get(pathOf(row))),
+      })),
+    };
+  }
+
+  async getTrend({ startDate, endDate, metrics = ['sessions'], granularity = 'day', path: pathInput, dimensionFilter }) {
+    this.requirePropertyId();
+    const bucket = TREND_GRANULARITIES[granularity];
+    if (!bucket) {
+      throw new Error(`--granularity must be one of: ${Object.keys(TREND_GRANULARITIES).join(', ')}`);
+    }
+
+    const filters = [];
+    if (pathInput) filters.push(this.getPathFilter(pathInput));
+    if (dimensionFilter) filters.push(dimensionFilter);
+
+    const res = await this.runReport({
+      dateRanges: [{ startDate, endDate }],
+      dimensions: [{ name: bucket.dimension }],
+      metrics: metrics.map((name) => ({ name })),
+      orderBys: [{ dimension: { dimensionName: bucket.dimension } }],
+      limit: '100000',
+      ...combineFilters(filters),
+    });
+
+    const valuesByKey = new Map(
+      (res.data?.rows || []).map((r) => [
+        r.dimensionValues?.[0]?.value,
+        metrics.map((_, i) => parseFloat(r.metricValues?.[i]?.value || '0')),
+      ]),
+    );
+
+    // GA4 omits periods without data.
+    const points = getTrendBuckets(startDate, endDate, granularity).map((key) => {
+      const values = valuesByKey.get(key) || metrics.map(() => 0);
+      return {
+        period: bucket.label(key),
+        ...Object.fromEntries(metrics.map((name, i) => [name, values[i]])),
+      };
+    });
+
+    return { granularity, metrics, points };
+  }
+
+  async getSources({ startDate, endDate, by = 'source', path: pathInput, channel, limit = 20 }) {
+    this.requirePropertyId();
+    const grouping = SOURCE_GROUPINGS[by];
+    if (!grouping) {
+      throw new Error(`--by must be one of: ${Object.keys(SOURCE_GROUPINGS).join(', ')}`);
+    }
+
+    const filters = [];
+    if (pathInput) filters.push(this.getPathFilter(pathInput));
+    if (channel) {
+      filters.push({ filter: { fieldName: 'sessionDefaultChannelGroup', stringFilter: { matchType: 'EXACT', value: channel } } });
+    }
+
+    const res = await this.runReport({
+      dateRanges: [{ startDate, endDate }],
+      dimensions: grouping.map((d) => ({ name: d.dimension })),
+      metrics: SOURCE_METRICS.map((name) => ({ name })),
+      orderBys: [{ metric: { metricName: 'sessions' }, desc: true }],
+      limit: String(limit),
+      ...combineFilters(filters),
+    });
+
+    const formatPercent = (v) => {
+      const n = parseFloat(v);
+      return isNaN(n) ? v : String(Math.round(n * 1000) / 10);
+    };
+
+    const rows = (res.data?.rows || []).map((r) => ({
+      ...Object.fromEntries(grouping.map((d, i) => [d.key, r.dimensionValues?.[i]?.value || '(not set)'])),
+      sessions: r.metricValues?.[0]?.value || '0',
+      totalUsers: r.metricValues?.[1]?.value || '0',
+      engagementRate: formatPercent(r.metricValues?.[2]?.value || '0'),
+      keyEvents: r.metricValues?.[3]?.value || '0',
+    }));
+
+    return { by, rowCount: res.data?.rowCount || 0, rows };
+  }
+
+  async getAudience({ startDate, endDate, by = 'country', path: pathInput, limit = 20 }) {
+    this.requirePropertyId();
+    const grouping = AUDIENCE_GROUPINGS[by];
+    if (!grouping) {
+      throw new Error(`--by must be one of: ${Object.keys(AUDIENCE_GROUPINGS).join(', ')}`);
+    }
+
+    const res = await this.runReport({
+      dateRanges: [{ startDate, endDate }],
+      dimensions: grouping.map((d) => ({ name: d.dimension })),
+      metrics: AUDIENCE_METRICS.map((name) => ({ name })),
+      orderBys: [{ metric: { metricName: 'totalUsers' }, desc: true }],
+      metricAggregations: ['TOTAL'],
+      limit: String(limit),
+      ...combineFilters(pathInput ? [this.getPathFilter(pathInput)] : []),
+    });
+
+    const formatPercent = (v) => {
+      const n = parseFloat(v);
+      return isNaN(n) ? v : String(Math.round(n * 1000) / 10);
+    };
+
+    // Deduplicated total: users can appear in several groups.
+    const totalValues = res.data?.totals?.[0]?.metricValues;
+    const totalUsers = parseFloat(totalValues?.[0]?.value || '0');
+    const rows = (res.data?.rows || []).map((r) => {
+      const users = r.metricValues?.[0]?.value || '0';
+      return {
+        ...Object.fromEntries(grouping.map((d, i) => [d.key, r.dimensionValues?.[i]?.value || '(not set)'])),
+        totalUsers: users,
+        share: totalUsers > 0 ? String(Math.round((parseFloat(users) / totalUsers) * 1000) / 10) : '0',
+        sessions: r.metricValues?.[1]?.value || '0',
+        screenPageViews: r.metricValues?.[2]?.value || '0',
+        engagementRate: formatPercent(r.metricValues?.[3]?.value || '0'),
+      };
+    });
+
+    return {
+      by,
+      rowCount: res.data?.rowCount || 0,
+      totals: {
+        totalUsers: totalValues?.[0]?.value || '0',
+        sessions: totalValues?.[1]?.value || '0',
+        screenPageViews: totalValues?.[2]?.value || '0',
+      },
+      rows,
+    };
+  }
+
+  async getEvents({ startDate, endDate, limit = 50 }) {
+    this.requirePropertyId();
+    const res = await this.runReport({
+      dateRanges: [{ startDate, endDate }],
+      dimensions: [{ name: 'eventName' }],
+      metrics: [{ name: 'eventCount' }, { name: 'totalUsers' }, { name: 'eventCountPerUser' }],
+      orderBys: [{ metric: { metricName: 'eventCount' }, desc: true }],
+      limit: String(limit),
+    });
+
+    const rows = (res.data?.rows || []).map((r) => ({
+      eventName: r.dimensionValues?.[0]?.value || '(not set)',
+      eventCount: r.metricValues?.[0]?.value || '0',
+      totalUsers: r.metricValues?.[1]?.value || '0',
+      eventCountPerUser: String(Math.round(parseFloat(r.metricValues?.[2]?.value || '0') * 100) / 100),
+    }));
+
+    return { rowCount: res.data?.rowCount || 0, rows };
+  }
+
+  // Parameters are reportable once registered as custom dimensions (`customEvent:<parameter>`).
+  async getEventParameter({ startDate, endDate, eventName, param, limit = 50 }) {
+    this.requirePropertyId();
+    const dimension = param.includes(':') ? param : `customEvent:${param}`;
+    await this.validateFields({ dimensions: [dimension] });
+    const res = await this.runReport({
+      dateRanges: [{ startDate, endDate }],
+      dimensions: [{ name: dimension }],
+      metrics: [{ name: 'eventCount' }, { name: 'totalUsers' }],
+      orderBys: [{ metric: { metricName: 'eventCount' }, desc: true }],
+      metricAggregations: ['TOTAL'],
+      limit: String(limit),
+      dimensionFilter: getEventFilter(eventName),
+    });
+
+    const totalCount = parseFloat(res.data?.totals?.[0]?.metricValues?.[0]?.value || '0');
+    const rows = (res.data?.rows || []).map((r) => {
+      const count = r.metricValues?.[0]?.value || '0';
+      return {
+        value: r.dimensionValues?.[0]?.value || '(not set)',
+        eventCount: count,
+        share: totalCount > 0 ? String(Math.round((parseFloat(count) / totalCount) * 1000) / 10) : '0',
+        totalUsers: r.metricValues?.[1]?.value || '0',
+      };
+    });
+
+    return { eventName, param: dimension, rowCount: res.data?.rowCount || 0, rows };
+  }
+
+  async getEventPages({ startDate, endDate, eventName, limit = 20 }) {
+    this.requirePropertyId();
+    const res = await this.runReport({
+      dateRanges: [{ startDate, endDate }],
+      dimensions: [{ name: 'pagePath' }],
+      metrics: [{ name: 'eventCount' }, { name: 'totalUsers' }],
+      orderBys: [{ metric: { metricName: 'eventCount' }, desc: true }],
+      limit: String(limit),
+      dimensionFilter: getEventFilter(eventName),
+    });
+
+    const rows = (res.data?.rows || []).map((r) => ({
+      path: r.dimensionValues?.[0]?.value || '(not set)',
+      eventCount: r.metricValues?.[0]?.value || '0',
+      totalUsers: r.metricValues?.[1]?.value || '0',
+    }));
+
+    return { eventName, rowCount: res.data?.rowCount || 0, rows };
+  }
+
+  // Steps are page paths (matched with their trailing-slash variant) or `event:<name>`.
+  buildFunnelStep(spec) {
+    const value = String(spec).trim();
+    if (value.startsWith('event:')) {
+      const eventName = value.slice('event:'.length).trim();
+      if (!eventName) throw new Error(`Invalid funnel step "${value}": event name is empty`);
+      return { name: value, filterExpression: { funnelEventFilter: { eventName } } };
+    }
+
+    const pathVariants = this.getPathVariants(value);
+    if (pathVariants.length === 0) throw new Error('Funnel steps cannot be empty');
+    return {
+      name: value,
+      filterExpression: {
+        funnelFieldFilter: { fieldName: 'pagePath', inListFilter: { values: pathVariants, caseSensitive: false } },
+      },
+    };
+  }
+
+  async getFunnel({ startDate, endDate, steps, open = false, breakdown }) {
+    if (!steps || steps.length < 2) {
+      throw new Error('A funnel needs at least two --step values');
+    }
+
+    const breakdownDimension = breakdown ? FUNNEL_BREAKDOWNS[breakdown] || breakdown : null;
+    if (breakdownDimension) await this.validateFields({ dimensions: [breakdownDimension] });
+    const data = await this.runFunnelReport({
+      dateRanges: [{ startDate, endDate }],
+      funnel: { isOpenFunnel: Boolean(open), steps: steps.map((step) => this.buildFunnelStep(step)) },
+      ...(breakdownDimension ? { funnelBreakdown: { breakdownDimension: { name: breakdownDimension }, limit: 10 } } : {}),
+    });
+
+    const table = data.funnelTable || {};
+    const dimensionNames = (table.dimensionHeaders || []).map((h) => h.name);
+    const metricIndex = Object.fromEntries((table.metricHeaders || []).map((h, i) => [h.name, i]));
+    const stepIndex = dimensionNames.indexOf('funnelStepName');
+    const breakdownIndex = breakdownDimension ? dimensionNames.indexOf(breakdownDimension) : -1;
+    const metric = (r, name) => r.metricValues?.[metricIndex[name]]?.value || '0';
+    const formatPercent = (v) => {
+      const n = parseFloat(v);
+      return isNaN(n) ? v : String(Math.round(n * 1000) / 10);
+    };
+
+    // funnelStepName values look like "2. /signup"; the prefix gives the step position.
+    const rows = (table.rows || []).map((r) => {
+      const stepName = r.dimensionValues?.[stepIndex]?.value || '';
+      const match = stepName.match(/^(\d+)\.\s*(.*)$/);
+      const segment = breakdownIndex >= 0 ? r.dimensionValues?.[breakdownIndex]?.value : null;
+      return {
+        stepNumber: match ? parseInt(match[1], 10) : null,
+        step: match ? match[2] : stepName,
+        ...(breakdownDimension ? { segment: segment === 'RESERVED_TOTAL' ? 'Total' : segment || '(not set)' } : {}),
+        activeUsers: metric(r, 'activeUsers'),
+        completionRate: formatPercent(metric(r, 'funnelStepCompletionRate')),
+        abandonments: metric(r, 'funnelStepAbandonments'),
+        abandonmentRate: formatPercent(metric(r, 'funnelStepAbandonmentRate')),
+      };
+    });
+
+    return {
+      open: Boolean(open),
+      steps,
+      breakdown: breakdownDimension,
+      rows: rows.sort((a, b) => (a.stepNumber ?? 0) - (b.stepNumber ?? 0)),
+    };
+  }
+
+  buildQueryRequest({ startDate, endDate, dimensions = [], metrics = [], orderBys, dimensionFilter, metricFilter, limit = 100 }) {
+    if (metrics.length === 0) {
+      throw new Error('At least one metric is required');
+    }
+
+    const requestBody = {
+      dateRanges: [{ startDate, endDate }],
+      dimensions: dimensions.map((name) => ({ name })),
+      metrics: metrics.map((name) => ({ name })),
+      limit: String(limit),
+    };
+    if (orderBys?.length) requestBody.orderBys = orderBys;
+    if (dimensionFilter) requestBody.dimensionFilter = dimensionFilter;
+    if (metricFilter) requestBody.metricFilter = metricFilter;
+    return requestBody;
+  }
+
+  parseQueryResponse(data) {
+    const dimensionHeaders = (data?.dimensionHeaders || []).map((h) => h.name);
+    const metricHeaders = (data?.metricHeaders || []).map((h) => h.name);
+    const rows = (data?.rows || []).map((r) => {
+      const row = {};
+      dimensionHeaders.forEach((name, i) => {
+        row[name] = r.dimensionValues?.[i]?.value || '(not set)';
+      });
+      metricHeaders.forEach((name, i) => {
+        row[name] = r.metricValues?.[i]?.value || '0';
+      });
+      return row;
+    });
+
+    return {
+      dimensions: dimensionHeaders,
+      metrics: metricHeaders,
+      rowCount: data?.rowCount || 0,
+      rows,
+    };
+  }
+
+  async getMetadata({ refresh = false } = {}) {
+    this.requirePropertyId();
+    const property = `properties/${this.propertyId}`;
+    const requestBody = { method: 'getMetadata' };
+    const key = getCacheKey(property, requestBody);
+
+    if (this.cacheMode === 'use' && !refresh) {
+      const cached = readCacheEntry(key);
+      if (cached) return cached;
+    }
+
+    const res = await this.callDataApi('getMetadata', { name: `${property}/metadata` });
+    if (this.cacheMode !== 'off') {
+      writeCacheEntry(key, property, requestBody, res.data, CACHE_TTL_MS.metadata);
+    }
+    return res.data;
+  }
+
+  // Unknown names trigger one metadata refresh in case a custom definition was just created.
+  async validateFields({ dimensions = [], metrics = [] }, { check = false } = {}) {
+    let metadata;
+    try {
+      metadata = await this.getMetadata();
+      if (findUnknownFields(metadata, { dimensions, metrics }).length && this.cacheMode === 'use') {
+        metadata = await this.getMetadata({ refresh: true });
+      }
+    } catch (error) {
+      logError(error, 'validateFields:getMetadata');
+      return;
+    }
+
+    const problems = findUnknownFields(metadata, { dimensions, metrics });
+    if (problems.length) throw new Error(problems.join('\n'));
+    if (!check || dimensions.length === 0 || metrics.length === 0) return;
+
+    let res;
+    try {
+      res = await this.callDataApi('checkCompatibility', {
+        property: `properties/${this.propertyId}`,
+        requestBody: {
+          dimensions: [...new Set(dimensions)].map((name) => ({ name })),
+          metrics: [...new Set(metrics)].map((name) => ({ name })),
+        },
+      });
+    } catch (error) {
+      logError(error, 'validateFields:checkCompatibility');
+      return;
+    }
+
+    const incompatible = [
+      ...(res.data?.dimensionCompatibilities || []).map((c) => ({ ...c, name: c.dimensionMetadata?.apiName })),
+      ...(res.data?.metricCompatibilities || []).map((c) => ({ ...c, name: c.metricMetadata?.apiName })),
+    ]
+      .filter((c) => c.compatibility === 'INCOMPATIBLE')
+      .map((c) => c.name);
+    if (incompatible.length) {
+      throw new Error(
+        `Incompatible dimensions/metrics: ${incompatible.join(', ')} cannot be queried with the other fields in this request`,
+      );
+    }
+  }
+
+  async runQuery(params) {
+    const res = await this.runReport(this.buildQueryRequest(params));
+    return this.parseQueryResponse(res.data);
+  }
+
+  async *iterateQuery(params, pageSize) {
+    for await (const page of this.iterateReport(this.buildQueryRequest(params), pageSize)) {
+      yield { ...page, rows: this.parseQueryResponse(page.data).rows };
+    }
+  }
+
+  async *iterateReport(requestBody, pageSize = DEFAULT_PAGE_SIZE) {
+    this.requirePropertyId();
+    let offset = 0;
+    for (;;) {
+      // Not cached: a full export would write a copy of itself to disk.
+      const res = await this.callDataApi('runReport', {
+        property: `properties/${this.propertyId}`,
+        requestBody: { ...requestBody, limit: String(pageSize), offset: String(offset), returnPropertyQuota: true },
+      });
+      this.quota.core = res.data?.propertyQuota || this.quota.core;
+      const count = res.data?.rows?.length || 0;
+      const rowCount = res.data?.rowCount || 0;
+      offset += count;
+      yield { data: res.data, rowCount, fetched: offset };
+      if (count === 0 || offset >= rowCount) return;
+    }
+  }
+}
+
+class GA4TUI {
+  constructor(service) {
+    const blessed = require('blessed');
+    this.blessed = blessed;
+    this.service = service;
+    this.screen = blessed.screen({ smartCSR: true, title: 'GA4 CLI' });
+    this.realtimeInterval = null;
+    this.activeViewId = 0;
+    this.compareMode = null;
+
+    this.mainBox = blessed.box({
+      parent: this.screen,
+      top: 0,
+      left: 0,
+      width: '100%',
+      height: '100%',
+      style: { bg: 'black' },
+    });
+
+    this.contentBox = blessed.box({
+      parent: this.mainBox,
+      top: 0,
+      left: 0,
+      width: '100%',
+      height: '100%',
+    });
+
+    this.screen.key(['q', 'C-c'], () => {
+      this.stopRealtime();
+      process.exit(0);
+    });
+  }
+
+  stopRealtime() {
+    if (this.realtimeInterval) {
+      clearInterval(this.realtimeInterval);
+      this.realtimeInterval = null;
+    }
+  }
+
+  cycleCompareMode() {
+    const modes = [null, ...COMPARE_MODES];
+    this.compareMode = modes[(modes.indexOf(this.compareMode) + 1) % modes.length];
+  }
+
+  getCompareRange(startDate, endDate) {
+    if (!this.compareMode) return null;
+    return { mode: this.compareMode, ...getComparisonRange(startDate, endDate, this.compareMode) };
+  }
+
+  compareLabel(compare) {
+    if (!compare) return 'Compare: off';
+    return `Compare: {yellow-fg}${compare.mode}{/} (${compare.startDate} to ${compare.endDate})`;
+  }
+
+  formatChangeTag(value, lowerIsBetter = false) {
+    if (!isComparison(value)) return '';
+    const text = formatChange(value);
+    if (value.delta === 0) return `{gray-fg}${text}{/}`;
+    const improved = lowerIsBetter ? value.delta < 0 : value.delta > 0;
+    return `{${improved ? 'green' : 'red'}-fg}${value.delta > 0 ? '▲' : '▼'} ${text}{/}`;
+  }
+
+  // `R` re-fetches: `load` gets a service that skips cache reads (and updates the cache).
+  refreshView(load) {
+    return load(this.service.cacheMode === 'use' ? this.service.withCacheMode('refresh') : this.service);
+  }
+
+  clearContent() {
+    this.stopRealtime();
+    while (this.contentBox.children.length) {
+      this.contentBox.children[0].destroy();
+    }
+    this.activeViewId += 1;
+  }
+
+  showStatus(message, color = 'green') {
+    const blessed = this.blessed;
+    if (!this.statusLine) {
+      this.statusLine = blessed.box({
+        parent: this.mainBox,
+        bottom: 0,
+        left: 0,
+        width: '100%',
+        height: 1,
+        tags: true,
+      });
+    }
+    this.statusLine.setContent(` {${color}-fg}${blessed.escape(message)}{/}`);
+    this.statusLine.show();
+    this.statusLine.setFront();
+    clearTimeout(this.statusTimer);
+    this.statusTimer = setTimeout(() => {
+      this.statusLine.hide();
+      this.screen.render();
+    }, 5000);
+    this.screen.render();
+  }
+
+  // `onClose` must restore focus to the view.
+  showExportDialog(dataset, baseName, onClose) {
+    const blessed = this.blessed;
+    const formats = Object.keys(EXPORT_FORMATS);
+    const dialog = blessed.box({
+      parent: this.contentBox,
+      top: 'center',
+      left: 'center',
+      width: 64,
+      height: 12,
+      border: { type: 'line' },
+      style: { border: { fg: 'yellow' } },
+      label: ' Export ',
+      tags: true,
+    });
+
+    const list = blessed.list({
+      parent: dialog,
+      top: 1,
+      left: 2,
+      width: '100%-6',
+      height: 3,
+      keys: true,
+      vi: true,
+      style: { selected: { bg: 'blue' } },
+      items: ['CSV', 'JSON', 'Markdown'],
+    });
+
+    const input = blessed.textbox({
+      parent: dialog,
+      top: 5,
+      left: 2,
+      width: '100%-6',
+      height: 3,
+      border: { type: 'line' },
+      inputOnFocus: true,
+    });
+
+    const hint = blessed.text({
+      parent: dialog,
+      top: 8,
+      left: 2,
+      content: 'Enter: choose format  |  Esc: cancel',
+      style: { fg: 'gray' },
+    });
+
+    const close = () => {
+      dialog.destroy();
+      onClose();
+      this.screen.render();
+    };
+
+    list.key(['escape', 'b'], close);
+    list.key('enter', () => {
+      input.setValue(`${baseName}-${formatDate(new Date())}.${EXPORT_FORMATS[formats[list.selected]]}`);
+      hint.setContent('Enter: save  |  Esc: back to formats');
+      input.focus();
+      this.screen.render();
+    });
+    input.on('submit', (value) => {
+      const file = String(value || '').trim();
+      if (!file) {
+        list.focus();
+        this.screen.render();
+        return;
+      }
+      const format = formats[list.selected];
+      try {
+        const saved = exportDataset(dataset, format, file);
+        close();
+        this.showStatus(`Saved ${format} export to ${saved}`);
+      } catch (error) {
+        logError(error, 'tui:export');
+        close();
+        this.showStatus(`Export failed: ${error.message}`, 'red');
+      }
+    });
+    input.on('cancel', () => {
+      hint.setContent('Enter: choose format  |  Esc: cancel');
+      list.focus();
+      this.screen.render();
+    });
+
+    list.focus();
+    this.screen.render();
+  }
+
+  async showMenu() {
+    const blessed = this.blessed;
+    this.clearContent();
+
+    const options = [
+      { label: 'Realtime summary', action: () => this.showRealtime() },
+      { label: 'Top pages/screens', action: () => this.showTopPagesDateRange() },
+      { label: 'Traffic sources', action: () => this.showSourcesDateRange() },
+      { label: 'Events', action: () => this.showEventsDateRange() },
+      { label: 'Path report', action: () => this.showPathInput() },
+      { label: 'Funnel', action: () => this.showFunnelInput() },
+      { label: 'Trend', action: () => this.showTrendDateRange() },
+      { label: 'Favorites', action: () => this.showFavorites() },
+      { label: 'Switch property', action: () => this.showPropertyPicker() },
+      { label: 'Quit', action: () => process.exit(0) },
+    ];
+
+    const list = blessed.list({
+      parent: this.contentBox,
+      top: 'center',
+      left: 'center',
+      width: '60%',
+      height: options.length + 2,
+      border: { type: 'line' },
+      label: ` Profile: ${this.service.config.profile}  |  Property: ${this.service.propertyId || 'none selected'} `,
+      style: { selected: { bg: 'blue' } },
+      items: options.map((o) => o.label),
+      keys: true,
+      vi: true,
+    });
+
+    blessed.text({
+      parent: this.contentBox,
+      bottom: 0,
+      left: 'center',
+      content: 'Use arrows + Enter. Press q to quit.',
+      style: { fg: 'gray' },
+    });
+
+    list.focus();
+    list.key('enter', () => options[list.selected].action());
+    this.screen.render();
+  }
+
+  showFavorites() {
+    const blessed = this.blessed;
+    this.clearContent();
+    const { saved, recentPaths } = readFavorites();
+    const entries = [
+      ...Object.entries(saved).map(([name, entry]) => ({
+        label: `{yellow-fg}★{/} ${blessed.escape(name)}  {gray-fg}ga4 ${blessed.escape(formatSavedArgs(entry.args))}{/}`,
+        run: () => this.runSavedQuery(name, entry),
+        name,
+      })),
+      ...recentPaths.map((entry) => ({
+        label: `{cyan-fg}↺{/} ${blessed.escape(entry.path)}  {gray-fg}${entry.range === 'custom' ? `${entry.startDate} to ${entry.endDate}` : entry.range}{/}`,
+        run: async () => {
+          const { startDate, endDate } =
+            entry.range === 'custom' ? entry : getDateRange(entry.range, await this.service.getTimeZone());
+          addRecentPath(entry.path, entry);
+          this.showPathReport(entry.path, startDate, endDate, entry.range === 'custom' ? 'Custom' : entry.range);
+        },
+      })),
+    ];
+
+    const list = blessed.list({
+      parent: this.contentBox,
+      top: 'center',
+      left: 'center',
+      width: '80%',
+      height: '70%',
+      border: { type: 'line' },
+      label: ' Favorites ',
+      keys: true,
+      vi: true,
+      tags: true,
+      style: { selected: { bg: 'blue' } },
+      items: entries.length
+        ? entries.map((entry) => entry.label)
+        : ['{gray-fg}No favorites yet. Save one with: ga4 save <name> -- <command> [args...]{/}'],
+    });
+
+    blessed.text({
+      parent: this.contentBox,
+      bottom: 0,
+      left: 'center',
+      content: 'Enter: run  |  D: delete saved query  |  Esc/B: back',
+      style: { fg: 'gray' },
+    });
+
+    list.key(['escape', 'b'], () => this.showMenu());
+    list.key('enter', () => entries[list.selected]?.run());
+    list.key(['d'], () => {
+      const entry = entries[list.selected];
+      if (!entry?.name) return;
+      const favorites = readFavorites();
+      delete favorites.saved[entry.name];
+      writeFavorites(favorites);
+      this.showFavorites();
+    });
+    list.focus();
+    this.screen.render();
+  }
+
+  async runSavedQuery(name, entry, service = this.service) {
+    const blessed = this.blessed;
+    const { positionals, options } = parseArgs(entry.args);
+    const command = positionals[0];
+
+    if (command === 'path' && (options.path ?? positionals[1]) && !options.property && !options.profile) {
+      const pathOptions = { ...getProfileDefaults(this.service.config.defaults, 'path', options), ...options };
+      const { startDate, endDate } = resolveDateRange(pathOptions, await this.service.getTimeZone());
+      this.showPathReport(options.path ?? positionals[1], startDate, endDate, pathOptions.range || 'last7', undefined, service);
+      return;
+    }
+
+    this.clearContent();
+    const viewId = this.activeViewId;
+    const box = blessed.box({
+      parent: this.contentBox,
+      top: 0,
+      left: 0,
+      width: '100%',
+      height: '100%',
+      border: { type: 'line' },
+      style: { border: { fg: 'yellow' } },
+      label: ` ${name} `,
+      tags: true,
+      scrollable: true,
+      alwaysScroll: true,
+      keys: true,
+      vi: true,
+      content: `{yellow-fg}Running ga4 ${blessed.escape(formatSavedArgs(entry.args))}...{/}`,
+    });
+    box.key(['escape', 'b'], () => this.showFavorites());
+    box.key(['r'], () => this.refreshView((fresh) => this.runSavedQuery(name, entry, fresh)));
+    box.focus();
+    this.screen.render();
+
+    if (['watch', 'run'].includes(command)) {
+      box.setContent(`{yellow-fg}"${command}" does not run inside the TUI.{/} Use: ga4 saved run ${blessed.escape(name)}`);
+      this.screen.render();
+      return;
+    }
+
+    try {
+      const queryService =
+        options.profile || options.property
+          ? new GA4Service({ profile: options.profile || this.service.config.profile, cacheMode: service.cacheMode })
+          : service;
+      if (options.property) queryService.setPropertyId(options.property);
+
+      // File output and streaming would write past the TUI, so results are always captured.
+      const chunks = [];
+      const { output, all, ...rest } = options;
+      await runCliCommand(queryService, command, { ...rest, writer: (text) => chunks.push(text) }, positionals);
+      if (viewId !== this.activeViewId) return;
+      box.setContent(
+        [
+          `{yellow-fg}${blessed.escape(name)}{/}  {gray-fg}ga4 ${blessed.escape(formatSavedArgs(entry.args))}{/}`,
+          '',
+          blessed.escape(chunks.join('\n')),
+          '',
+          '{gray-fg}Esc/B: back to favorites  |  R: rerun{/}',
+        ].join('\n'),
+      );
+      box.setScrollPerc(0);
+    } catch (error) {
+      if (viewId !== this.activeViewId) return;
+      logError(error, 'tui:runSavedQuery');
+      box.setContent(`{red-fg}Error:{/} ${error.message}\n\n{gray-fg}Press Esc/B to go back{/}`);
+    }
+
+    this.screen.render();
+  }
+
+  async showPropertyPicker() {
+    const blessed = this.blessed;
+    this.clearContent();
+    const viewId = this.activeViewId;
+
+    const list = blessed.list({
+      parent: this.contentBox,
+      top: 'center',
+      left: 'center',
+      width: '80%',
+      height: '70%',
+      border: { type: 'line' },
+      label: ' Switch Property ',
+      keys: true,
+      vi: true,
+      tags: true,
+      style: { selected: { bg: 'blue' } },
+      items: ['{cyan-fg}Loading properties...{/}'],
+    });
+
+    blessed.text({
+      parent: this.contentBox,
+      bottom: 0,
+      left: 'center',
+      content: 'Choose a property and press Enter. Esc/B to go back.',
+      style: { fg: 'gray' },
+    });
+
+    list.key(['escape', 'b'], () => this.showMenu());
+    list.focus();
+    this.screen.render();
+
+    try {
+      const properties = this.service.properties.length ? this.service.properties : await this.service.listProperties();
+      if (viewId !== this.activeViewId) return;
+
+      if (properties.length === 0) {
+        list.setItems(['{yellow-fg}No properties are visible to these credentials.{/}']);
+      } else {
+        list.setItems(
+          properties.map((p) => {
+            const marker = p.propertyId === this.service.propertyId ? '{green-fg}*{/}' : ' ';
+            return `${marker} ${p.displayName} {gray-fg}(${p.propertyId})  ${p.account}  ${p.timeZone} ${p.currency}{/}`;
+          }),
+        );
+        list.key('enter', () => {
+          const selected = properties[list.selected];
+          if (!selected) return;
+          this.service.setPropertyId(selected.propertyId);
+          this.showMenu();
+        });
+      }
+    } catch (error) {
+      if (viewId !== this.activeViewId) return;
+      logError(error, 'tui:showPropertyPicker');
+      list.setItems([`{red-fg}Error:{/} ${error.message}`, `Logged to ${ERROR_LOG_FILE}`]);
+    }
+
+    this.screen.render();
+  }
+
+  showDateRangeSelector(title, onSelect, onBack) {
+    const blessed = this.blessed;
+    this.clearContent();
+    const options = [
+      ...DATE_RANGE_OPTIONS.filter((o) => o.value !== 'all'),
+      { label: 'Custom (enter start/end date)', value: 'custom' },
+      { label: 'Back', value: 'back' },
+    ];
+
+    const list = blessed.list({
+      parent: this.contentBox,
+      top: 'center',
+      left: 'center',
+      width: '70%',
+      height: options.length + 2,
+      border: { type: 'line' },
+      label: ` ${title} `,
+      keys: true,
+      vi: true,
+      style: { selected: { bg: 'blue' } },
+      items: options.map((o) => o.label),
+    });
+
+    list.focus();
+    list.key(['escape', 'b'], () => onBack());
+    list.key('enter', async () => {
+      const selected = options[list.selected];
+      if (!selected || selected.value === 'back') {
+        onBack();
+        return;
+      }
+
+      if (selected.value === 'custom') {
+        this.showCustomDateRangeInput(onSelect, () => this.showDateRangeSelector(title, onSelect, onBack));
+        return;
+      }
+
+      const range = getDateRange(selected.value, await this.service.getTimeZone());
+      onSelect({
+        ...range,
+        range: selected.value,
+        rangeLabel: selected.label,
+      });
+    });
+
+    blessed.text({
+      parent: this.contentBox,
+      bottom: 0,
+      left: 'center',
+      content: 'Choose range and press Enter. Esc/B to go back.',
+      style: { fg: 'gray' },
+    });
+
+    this.screen.render();
+  }
+
+  showCustomDateRangeInput(onSelect, onBack) {
+    const blessed = this.blessed;
+    this.clearContent();
+
+    const form = blessed.form({
+      parent: this.contentBox,
+      top: 'center',
+      left: 'center',
+      width: '70%',
+      height: 13,
+      border: { type: 'line' },
+      label: ' Custom Date Range ',
+      keys: true,
+    });
+
+    blessed.text({
+      parent: form,
+      top: 1,
+      left: 2,
+      content: 'Enter both dates: YYYY-MM-DD YYYY-MM-DD',
+    });
+    blessed.text({
+      parent: form,
+      top: 2,
+      left: 2,
+      content: 'Example: 2026-02-01 2026-02-25  or  28daysAgo yesterday',
+      style: { fg: 'gray' },
+    });
+
+    const input = blessed.textbox({
+      parent: form,
+      top: 4,
+      left: 2,
+      width: '95%-4',
+      height: 3,
+      border: { type: 'line' },
+      inputOnFocus: true,
+      name: 'dates',
+    });
+
+    const errorText = blessed.text({
+      parent: form,
+      top: 8,
+      left: 2,
+      content: '',
+      style: { fg: 'red' },
+    });
+
+    blessed.text({
+      parent: form,
+      top: 10,
+      left: 2,
+      content: 'Enter to continue  |  Esc/B to go back',
+      style: { fg: 'gray' },
+    });
+
+    form.on('submit', async (data) => {
+      const raw = String(data.dates || '').trim();
+      const parts = raw.split(/[,\s]+/).filter(Boolean);
+      const timeZone = await this.service.getTimeZone();
+      const startDate = resolveRelativeDate(parts[0], timeZone);
+      const endDate = resolveRelativeDate(parts[1], timeZone);
+      if (!startDate || !endDate || startDate > endDate) {
+        errorText.setContent('Invalid input. Use: YYYY-MM-DD YYYY-MM-DD (or today, yesterday, NdaysAgo)');
+        this.screen.render();
+        return;
+      }
+      onSelect({
+        startDate,
+        endDate,
+        range: 'custom',
+        rangeLabel: `Custom (${startDate} to ${endDate})`,
+      });
+    });
+
+    input.key('enter', () => form.submit());
+    input.key(['escape', 'b'], () => onBack());
+    input.focus();
+    this.screen.render();
+  }
+
+  async showPathInput() {
+    const blessed = this.blessed;
+    this.clearContent();
+
+    const form = blessed.form({
+      parent: this.contentBox,
+      top: 'center',
+      left: 'center',
+      width: '70%',
+      height: 12,
+      border: { type: 'line' },
+      label: ' Path Report ',
+      keys: true,
+    });
+
+    blessed.text({
+      parent: form,
+      top: 1,
+      left: 2,
+      content: 'Enter path (e.g. /about or /blog/post):',
+    });
+
+    const input = blessed.textbox({
+      parent: form,
+      top: 3,
+      left: 2,
+      width: '95%-4',
+      height: 3,
+      border: { type: 'line' },
+      inputOnFocus: true,
+      name: 'path',
+    });
+
+    const errorText = blessed.text({
+      parent: form,
+      top: 7,
+      left: 2,
+      content: '',
+      style: { fg: 'red' },
+    });
+
+    blessed.text({
+      parent: form,
+      top: 9,
+      left: 2,
+      content: 'Press Enter to continue  |  Esc/B to go back',
+      style: { fg: 'gray' },
+    });
+
+    input.focus();
+    input.key(['escape', 'b'], () => this.showMenu());
+
+    form.on('submit', (data) => {
+      const pathInput = String(data.path || '').trim();
+      if (!pathInput) {
+        errorText.setContent('Path is required.');
+        this.screen.render();
+        return;
+      }
+      this.showDateRangeSelector(
+        'Choose Date Range For Path Report',
+        ({ startDate, endDate, range, rangeLabel }) => {
+          addRecentPath(pathInput, { range, startDate, endDate });
+          this.showPathReport(pathInput, startDate, endDate, rangeLabel);
+        },
+        () => this.showPathInput(),
+      );
+    });
+
+    input.key('enter', () => form.submit());
+    this.screen.render();
+  }
+
+  async showPathReport(pathInput, startDate, endDate, rangeLabel, onBack, service = this.service) {
+    const blessed = this.blessed;
+    this.clearContent();
+    const viewId = this.activeViewId;
+
+    const box = blessed.box({
+      parent: this.contentBox,
+      top: 0,
+      left: 0,
+      width: '100%',
+      height: '100%',
+      border: { type: 'line' },
+      style: { border: { fg: 'cyan' } },
+      tags: true,
+      content: '{cyan-fg}Loading path report...{/}',
+      scrollable: true,
+      keys: true,
+    });
+
+    const goBack = () =>
+      onBack
+        ? onBack()
+        : this.showDateRangeSelector(
+            'Choose Date Range For Path Report',
+            ({ startDate: nextStart, endDate: nextEnd, rangeLabel: nextLabel }) =>
+              this.showPathReport(pathInput, nextStart, nextEnd, nextLabel),
+            () => this.showPathInput(),
+          );
+    box.key(['escape', 'b'], goBack);
+    box.key(['r'], () =>
+      this.refreshView((fresh) => this.showPathReport(pathInput, startDate, endDate, rangeLabel, onBack, fresh)),
+    );
+    box.key(['c'], () => {
+      this.cycleCompareMode();
+      this.showPathReport(pathInput, startDate, endDate, rangeLabel, onBack);
+    });
+    box.key(['t'], () =>
+      this.showTrend({
+        title: `Trend for ${pathInput}`,
+        startDate,
+        endDate,
+        rangeLabel,
+        path: pathInput,
+        onBack: () => this.showPathReport(pathInput, startDate, endDate, rangeLabel, onBack),
+      }),
+    );
+    let exportable = null;
+    box.key(['e'], () => {
+      if (!exportable) return;
+      const slug = pathInput.replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '') || 'root';
+      this.showExportDialog(exportable, `ga4-path-${slug}`, () => box.focus());
+    });
+    box.focus();
+
+    try {
+      const compare = this.getCompareRange(startDate, endDate);
+      const report = await service.getPathReport(pathInput, startDate, endDate, compare);
+      if (viewId !== this.activeViewId) return;
+      exportable = buildPathReportDataset(this.service.propertyId, report, { startDate, endDate, compare });
+
+      const metricLine = (label, key, suffix = '', lowerIsBetter = false) => {
+        const value = report[key];
+        if (!isComparison(value)) return `  ${label.padEnd(18)}{green-fg}${value}${suffix}{/}`;
+        return `  ${label.padEnd(18)}{green-fg}${value.current}${suffix}{/}  ${this.formatChangeTag(value, lowerIsBetter)}  {gray-fg}(prev ${value.previous}${suffix}){/}`;
+      };
+
+      const lines = [
+        `{cyan-fg}Path Report{/}  |  {green-fg}${report.path}{/}`,
+        `Includes variants: {yellow-fg}${report.pathVariants.join(', ')}{/}`,
+        `Range: ${startDate} to ${endDate} (${rangeLabel})  |  Property: ${this.service.propertyId}`,
+        this.compareLabel(compare),
+        `{gray-fg}Quota: ${formatQuota(this.service.quota.core)}{/}`,
+        '',
+        '{cyan-fg}Metrics{/}',
+        metricLine('Sessions:', 'sessions'),
+        metricLine('Total Users:', 'totalUsers'),
+        metricLine('New Users:', 'newUsers'),
+        metricLine('Pageviews:', 'pageviews'),
+        metricLine('Events:', 'eventCount'),
+        metricLine('Avg Session:', 'averageSessionDuration', 's'),
+        metricLine('Bounce Rate:', 'bounceRate', '%', true),
+        metricLine('Engagement Rate:', 'engagementRate', '%'),
+      ];
+
+      if (report.byPath?.length > 1) {
+        lines.push('', '{cyan-fg}By path variant:{/}');
+        report.byPath.forEach((p) => {
+          lines.push(`  {yellow-fg}${p.pagePath}{/}: ${p.pageviews} views, ${p.sessions} sessions`);
+        });
+      }
+
+      lines.push(
+        '',
+        `{gray-fg}Press Esc/B to ${onBack ? 'go back' : 'change range'}, R to refresh, C to cycle comparison, T for trend, E to export{/}`,
+      );
+      box.setContent(lines.join('\n'));
+      box.setScrollPerc(0);
+    } catch (error) {
+      if (viewId !== this.activeViewId) return;
+      logError(error, 'tui:showPathReport');
+      box.setContent(`{red-fg}Error:{/} ${error.message}\n\n{gray-fg}Press Esc/B to go back{/}`);
+    }
+
+    this.screen.render();
+  }
+
+  showFunnelInput(initialSteps = '') {
+    const blessed = this.blessed;
+    this.clearContent();
+
+    const form = blessed.form({
+      parent: this.contentBox,
+      top: 'center',
+      left: 'center',
+      width: '70%',
+      height: 13,
+      border: { type: 'line' },
+      label: ' Funnel ',
+      keys: true,
+    });
+
+    blessed.text({
+      parent: form,
+      top: 1,
+      left: 2,
+      content: 'Enter at least two steps separated by commas (paths or event:<name>):',
+    });
+    blessed.text({
+      parent: form,
+      top: 2,
+      left: 2,
+      content: 'Example: /pricing, /signup, event:sign_up',
+      style: { fg: 'gray' },
+    });
+
+    const input = blessed.textbox({
+      parent: form,
+      top: 4,
+      left: 2,
+      width: '95%-4',
+      height: 3,
+      border: { type: 'line' },
+      inputOnFocus: true,
+      name: 'steps',
+      value: initialSteps,
+    });
+
+    const errorText = blessed.text({
+      parent: form,
+      top: 8,
+      left: 2,
+      content: '',
+      style: { fg: 'red' },
+    });
+
+    blessed.text({
+      parent: form,
+      top: 10,
+      left: 2,
+      content: 'Enter to continue  |  Esc/B to go back',
+      style: { fg: 'gray' },
+    });
+
+    form.on('submit', (data) => {
+      const raw = String(data.steps || '').trim();
+      const steps = raw.split(',').map((step) => step.trim()).filter(Boolean);
+      if (steps.length < 2) {
+        errorText.setContent('A funnel needs at least two steps.');
+        this.screen.render();
+        return;
+      }
+      this.showDateRangeSelector(
+        'Choose Date Range For Funnel',
+        ({ startDate, endDate, rangeLabel }) => this.showFunnel({ steps, startDate, endDate, rangeLabel }),
+        () => this.showFunnelInput(raw),
+      );
+    });
+
+    input.key('enter', () => form.submit());
+    input.key(['escape', 'b'], () => this.showMenu());
+    input.focus();
+    this.screen.render();
+  }
+
+  async showFunnel(params, service = this.service) {
+    const blessed = this.blessed;
+    const { steps, startDate, endDate, rangeLabel, open = false, breakdown = null } = params;
+    this.clearContent();
+    const viewId = this.activeViewId;
+
+    const box = blessed.box({
+      parent: this.contentBox,
+      top: 0,
+      left: 0,
+      width: '100%',
+      height: '100%',
+      border: { type: 'line' },
+      style: { border: { fg: 'yellow' } },
+      tags: true,
+      scrollable: true,
+      alwaysScroll: true,
+      keys: true,
+      vi: true,
+      content: '{yellow-fg}Loading funnel...{/}',
+    });
+
+    box.key(['escape', 'b'], () => this.showFunnelInput(steps.join(', ')));
+    box.key(['r'], () => this.refreshView((fresh) => this.showFunnel(params, fresh)));
+    box.key(['o'], () => this.showFunnel({ ...params, open: !open }));
+    box.key(['d'], () => this.showFunnel({ ...params, breakdown: breakdown ? null : 'device' }));
+    box.focus();
+    this.screen.render();
+
+    try {
+      const funnel = await service.getFunnel({ startDate, endDate, steps, open, breakdown });
+      if (viewId !== this.activeViewId) return;
+
+      const totals = funnel.rows.filter((row) => !funnel.breakdown || row.segment === 'Total');
+      const segments = funnel.rows.filter((row) => funnel.breakdown && row.segment !== 'Total');
+      const maxUsers = Math.max(1, ...funnel.rows.map((row) => parseFloat(row.activeUsers) || 0));
+      const barWidth = Math.max(10, (box.width || 80) - 40);
+      const bar = (users, color) => {
+        const length = Math.round(((parseFloat(users) || 0) / maxUsers) * barWidth);
+        return `{${color}-fg}${'█'.repeat(length)}{/}${' '.repeat(barWidth - length)}`;
+      };
+      const firstStepUsers = parseFloat(totals[0]?.activeUsers) || 0;
+
+      const lines = [
+        `{yellow-fg}Funnel{/}  |  Property: {cyan-fg}${this.service.propertyId}{/}  |  ${funnel.open ? 'Open' : 'Closed'} funnel${funnel.breakdown ? `  |  By: {yellow-fg}${funnel.breakdown}{/}` : ''}`,
+        `Range: ${startDate} to ${endDate} (${rangeLabel})`,
+        `{gray-fg}Quota: ${formatQuota(this.service.quota.funnel)}{/}`,
+        '',
+      ];
+
+      if (totals.length === 0) {
+        lines.push('{yellow-fg}No users entered this funnel.{/}');
+      }
+      totals.forEach((row) => {
+        const users = parseFloat(row.activeUsers) || 0;
+        const ofFirst = firstStepUsers > 0 ? Math.round((users / firstStepUsers) * 1000) / 10 : 0;
+        lines.push(`{cyan-fg}${row.stepNumber}. ${blessed.escape(row.step)}{/}`);
+        lines.push(`  ${bar(row.activeUsers, 'green')} ${users.toLocaleString('en-US')} users (${ofFirst}% of step 1)`);
+        segments
+          .filter((segment) => segment.stepNumber === row.stepNumber)
+          .forEach((segment) => {
+            lines.push(`  ${bar(segment.activeUsers, 'blue')} ${segment.activeUsers} ${blessed.escape(segment.segment)}`);
+          });
+        lines.push(
+          `  {gray-fg}Completion ${row.completionRate}%  |  Abandoned ${row.abandonments} (${row.abandonmentRate}%){/}`,
+          '',
+        );
+      });
+
+      lines.push('{gray-fg}Esc/B: edit steps  |  O: toggle open/closed  |  D: toggle device breakdown  |  R: refresh{/}');
+      box.setContent(lines.join('\n'));
+      box.setScrollPerc(0);
+    } catch (error) {
+      if (viewId !== this.activeViewId) return;
+      logError(error, 'tui:showFunnel');
+      box.setContent(`{red-fg}Error:{/} ${error.message}\n\n{gray-fg}Press Esc/B to go back{/}`);
+    }
+
+    this.screen.render();
+  }
+
+  showTopPagesDateRange() {
+    this.showDateRangeSelector(
+      'Choose Date Range For Top Pages/Screens',
+      ({ startDate, endDate, rangeLabel }) => this.showTopPagesReport({ startDate, endDate, rangeLabel }),
+      () => this.showMenu(),
+    );
+  }
+
+  // `state` survives drill-downs into the path report and back.
+  async showTopPagesReport(state, service = this.service) {
+    const blessed = this.blessed;
+    const { startDate, endDate, rangeLabel } = state;
+    state.sort = state.sort || 'views';
+    state.desc = state.desc ?? true;
+    state.search = state.search || '';
+    this.clearContent();
+    const viewId = this.activeViewId;
+
+    const header = blessed.box({
+      parent: this.contentBox,
+      top: 0,
+      left: 0,
+      width: '100%',
+      height: 8,
+      border: { type: 'line' },
+      style: { border: { fg: 'green' } },
+      tags: true,
+      content: '{green-fg}Loading top pages/screens...{/}',
+    });
+
+    const list = blessed.list({
+      parent: this.contentBox,
+      top: 8,
+      left: 0,
+      width: '100%',
+      height: '100%-9',
+      border: { type: 'line' },
+      keys: true,
+      vi: true,
+      tags: true,
+      style: { selected: { bg: 'blue' } },
+      items: [],
+    });
+
+    const footer = blessed.text({
+      parent: this.contentBox,
+      bottom: 0,
+      left: 'center',
+      content: 'Enter: path report  |  /: search  |  S: sort  |  O: order  |  L: load more  |  C: compare  |  E: export  |  R: refresh  |  Esc/B: back',
+      style: { fg: 'gray' },
+    });
+
+    const compare = this.getCompareRange(startDate, endDate);
+    const reload = (fresh) => {
+      state.rows = undefined;
+      state.selected = 0;
+      return this.showTopPagesReport(state, fresh);
+    };
+    const visibleRows = () => {
+      const query = state.search.toLowerCase();
+      if (!query) return state.rows || [];
+      return (state.rows || []).filter(
+        (row) => row.path.toLowerCase().includes(query) || row.pageTitle.toLowerCase().includes(query),
+      );
+    };
+
+    const render = () => {
+      const rows = visibleRows();
+      const columns = [
+        { key: 'rank', label: '#', align: 'right' },
+        ...TOP_PAGES_COLUMNS.map((col) =>
+          col.key === state.sort ? { ...col, label: `${col.label} ${state.desc ? 'v' : '^'}` } : col,
+        ),
+      ];
+      const currentRows = rows.map((row) =>
+        Object.fromEntries(Object.entries(row).map(([key, value]) => [key, isComparison(value) ? value.current : value])),
+      );
+      const [columnHeader, , ...rowLines] = formatTable(columns, currentRows).split('\n');
+      const loaded = state.rows.length;
+      header.setContent(
+        [
+          `{green-fg}Top Pages/Screens{/}  |  Property: {cyan-fg}${this.service.propertyId}{/}`,
+          `Range: ${startDate} to ${endDate} (${rangeLabel})  |  Sort: {yellow-fg}${state.sort} ${state.desc ? 'desc' : 'asc'}{/}`,
+          `${this.compareLabel(compare)}${state.search ? `  |  Search: {yellow-fg}${blessed.escape(state.search)}{/}` : ''}`,
+          `{gray-fg}Quota: ${formatQuota(this.service.quota.core)}{/}`,
+          '',
+          `${blessed.escape(columnHeader)}${compare ? '  Views Δ' : ''}`,
+        ].join('\n'),
+      );
+      list.setLabel(
+        ` ${state.search ? `${rows.length} matching, ` : ''}${loaded} loaded${state.hasMore ? ' (L: load more)' : ''} `,
+      );
+      if (rows.length === 0) {
+        list.setItems([loaded === 0 ? 'No rows returned for this date range.' : 'No loaded rows match the search.']);
+      } else {
+        list.setItems(
+          rowLines.map((line, i) => `${blessed.escape(line)}${compare ? `  ${this.formatChangeTag(rows[i].views)}` : ''}`),
+        );
+      }
+      list.select(Math.min(state.selected || 0, Math.max(rows.length - 1, 0)));
+      this.screen.render();
+    };
+
+    const loadPage = async (pageService = this.service) => {
+      const offset = state.rows ? state.rows.length : 0;
+      const pageSize = TOP_PAGES_TUI_PAGE_SIZE;
+      const pages = await pageService.getTopPagesReport(startDate, endDate, pageSize, compare, {
+        offset,
+        sort: state.sort,
+        desc: state.desc,
+      });
+      if (viewId !== this.activeViewId) return false;
+      state.rows = [...(state.rows || []), ...pages.map((row, i) => ({ rank: String(offset + i + 1), ...row }))];
+      state.hasMore = pages.length === pageSize;
+      return true;
+    };
+
+    const showError = (error) => {
+      if (viewId !== this.activeViewId) return;
+      logError(error, 'tui:showTopPagesReport');
+      header.setContent(`{red-fg}Error:{/} ${blessed.escape(error.message)}\n\n{gray-fg}Press Esc/B to go back{/}`);
+      this.screen.render();
+    };
+
+    const showSearch = () => {
+      const search = blessed.textbox({
+        parent: this.contentBox,
+        bottom: 0,
+        left: 0,
+        width: '100%',
+        height: 3,
+        border: { type: 'line' },
+        label: ' Search path/title (Enter: keep, Esc: clear) ',
+        inputOnFocus: true,
+        value: state.search,
+      });
+      footer.hide();
+      const update = () =>
+        setImmediate(() => {
+          state.search = search.getValue();
+          state.selected = 0;
+          render();
+        });
+      search.on('keypress', update);
+      const close = () => {
+        search.destroy();
+        footer.show();
+        list.focus();
+        render();
+      };
+      search.on('submit', close);
+      search.on('cancel', () => {
+        state.search = '';
+        close();
+      });
+      search.focus();
+      this.screen.render();
+    };
+
+    list.key(['escape', 'b'], () => this.showTopPagesDateRange());
+    list.key(['r'], () => this.refreshView(reload));
+    list.key(['c'], () => {
+      this.cycleCompareMode();
+      reload();
+    });
+    list.key(['s'], () => {
+      const keys = Object.keys(TOP_PAGES_SORT_FIELDS);
+      state.sort = keys[(keys.indexOf(state.sort) + 1) % keys.length];
+      reload();
+    });
+    list.key(['o'], () => {
+      state.desc = !state.desc;
+      reload();
+    });
+    list.key(['/'], showSearch);
+    list.key(['e'], () => {
+      if (!state.rows) return;
+      const dataset = buildTopPagesDataset(this.service.propertyId, {
+        startDate,
+        endDate,
+        compare,
+        title: `Top pages/screens (sorted by ${state.sort} ${state.desc ? 'desc' : 'asc'})`,
+        rows: visibleRows().map(({ rank, ...row }) => row),
+        json: { sort: state.sort, desc: state.desc, ...(state.search ? { search: state.search } : {}) },
+      });
+      if (state.search) dataset.meta.push(['Search', state.search]);
+      this.showExportDialog(dataset, 'ga4-top-pages', () => list.focus());
+    });
+    list.key(['l'], async () => {
+      if (!state.rows || !state.hasMore || state.loading) return;
+      state.loading = true;
+      list.setLabel(' Loading more... ');
+      this.screen.render();
+      try {
+        if (await loadPage()) render();
+      } catch (error) {
+        showError(error);
+      } finally {
+        state.loading = false;
+      }
+    });
+    list.on('select item', (item, index) => {
+      state.selected = index;
+    });
+    list.key('enter', () => {
+      const row = visibleRows()[list.selected];
+      if (!row) return;
+      state.selected = list.selected;
+      this.showPathReport(row.path, startDate, endDate, rangeLabel, () => this.showTopPagesReport(state));
+    });
+    list.focus();
+    this.screen.render();
+
+    try {
+      if (!state.rows) {
+        if (!(await loadPage(service))) return;
+      }
+      render();
+    } catch (error) {
+      showError(error);
+    }
+  }
+
+  showSourcesDateRange() {
+    this.showDateRangeSelector(
+      'Choose Date Range For Traffic Sources',
+      ({ startDate, endDate, rangeLabel }) => this.showSources({ startDate, endDate, rangeLabel }),
+      () => this.showMenu(),
+    );
+  }
+
+  async showSources(params, service = this.service) {
+    const blessed = this.blessed;
+    const { startDate, endDate, rangeLabel, by = 'channel', channel, onBack } = params;
+    this.clearContent();
+    const viewId = this.activeViewId;
+
+    const header = blessed.box({
+      parent: this.contentBox,
+      top: 0,
+      left: 0,
+      width: '100%',
+      height: 7,
+      border: { type: 'line' },
+      style: { border: { fg: 'green' } },
+      tags: true,
+      content: '{green-fg}Loading traffic sources...{/}',
+    });
+
+    const list = blessed.list({
+      parent: this.contentBox,
+      top: 7,
+      left: 0,
+      width: '100%',
+      height: '100%-8',
+      border: { type: 'line' },
+      keys: true,
+      vi: true,
+      style: { selected: { bg: 'blue' } },
+      items: [],
+    });
+
+    const groupings = Object.keys(SOURCE_GROUPINGS);
+    const drillable = by === 'channel' && !channel;
+    blessed.text({
+      parent: this.contentBox,
+      bottom: 0,
+      left: 'center',
+      content: `${drillable ? 'Enter: sources for channel  |  ' : ''}G: change grouping  |  R: refresh  |  Esc/B: back`,
+      style: { fg: 'gray' },
+    });
+
+    list.key(['escape', 'b'], () => (onBack ? onBack() : this.showSourcesDateRange()));
+    list.key(['r'], () => this.refreshView((fresh) => this.showSources(params, fresh)));
+    list.key(['g'], () => this.showSources({ ...params, by: groupings[(groupings.indexOf(by) + 1) % groupings.length] }));
+    list.focus();
+    this.screen.render();
+
+    try {
+      const result = await service.getSources({ startDate, endDate, by, channel, limit: 100 });
+      if (viewId !== this.activeViewId) return;
+
+      const [columnHeader, , ...rowLines] = formatTable(getSourceColumns(by), result.rows).split('\n');
+      header.setContent(
+        [
+          `{green-fg}Traffic Sources{/}  |  Property: {cyan-fg}${this.service.propertyId}{/}`,
+          `Range: ${startDate} to ${endDate} (${rangeLabel})  |  By: {yellow-fg}${by}{/}${channel ? `  |  Channel: {yellow-fg}${blessed.escape(channel)}{/}` : ''}`,
+          `{gray-fg}Quota: ${formatQuota(this.service.quota.core)}{/}`,
+          '',
+          blessed.escape(columnHeader),
+        ].join('\n'),
+      );
+      list.setLabel(` ${result.rows.length} of ${result.rowCount} rows `);
+
+      if (result.rows.length === 0) {
+        list.setItems(['No rows returned for this date range.']);
+      } else {
+        list.setItems(rowLines);
+        if (drillable) {
+          list.key('enter', () => {
+            const row = result.rows[list.selected];
+            if (!row) return;
+            this.showSources({
+              startDate,
+              endDate,
+              rangeLabel,
+              by: 'source-medium',
+              channel: row.channel,
+              onBack: () => this.showSources(params),
+            });
+          });
+        }
+      }
+    } catch (error) {
+      if (viewId !== this.activeViewId) return;
+      logError(error, 'tui:showSources');
+      header.setContent(`{red-fg}Error:{/} ${error.message}\n\n{gray-fg}Press Esc/B to go back{/}`);
+    }
+
+    this.screen.render();
+  }
+
+  showEventsDateRange() {
+    this.showDateRangeSelector(
+      'Choose Date Range For Events',
+      ({ startDate, endDate, rangeLabel }) => this.showEvents(startDate, endDate, rangeLabel),
+      () => this.showMenu(),
+    );
+  }
+
+  async showEvents(startDate, endDate, rangeLabel, service = this.service) {
+    const blessed = this.blessed;
+    this.clearContent();
+    const viewId = this.activeViewId;
+
+    const header = blessed.box({
+      parent: this.contentBox,
+      top: 0,
+      left: 0,
+      width: '100%',
+      height: 6,
+      border: { type: 'line' },
+      style: { border: { fg: 'magenta' } },
+      tags: true,
+      content: '{magenta-fg}Loading events...{/}',
+    });
+
+    const list = blessed.list({
+      parent: this.contentBox,
+      top: 6,
+      left: 0,
+      width: '100%',
+      height: '100%-7',
+      border: { type: 'line' },
+      keys: true,
+      vi: true,
+      style: { selected: { bg: 'blue' } },
+      items: [],
     });
 
     blessed.text({
-      parent: form,
-      top: 10,
-      left: 2,
-      content: 'Enter to continue  |  Esc/B to go back',
+      parent: this.contentBox,
+      bottom: 0,
+      left: 'center',
+      content: 'Enter: trend and top pages for event  |  R: refresh  |  Esc/B: back',
       style: { fg: 'gray' },
     });
 
-    form.on('submit', (data) => {
-      const raw = String(data.dates || '').trim();
-      const parts = raw.split(/[,\s]+/).filter(Boolean);
-      const startDate = parts[0];
-      const endDate = parts[1];
-      if (!startDate || !endDate || !isIsoDate(startDate) || !isIsoDate(endDate)) {
-        errorText.setContent('Invalid input. Use: YYYY-MM-DD YYYY-MM-DD');
-        this.screen.render();
+    list.key(['escape', 'b'], () => this.showEventsDateRange());
+    list.key(['r'], () => this.refreshView((fresh) => this.showEvents(startDate, endDate, rangeLabel, fresh)));
+    list.focus();
+    this.screen.render();
+
+    try {
+      const result = await service.getEvents({ startDate, endDate, limit: 200 });
+      if (viewId !== this.activeViewId) return;
+
+      const [columnHeader, , ...rowLines] = formatTable(EVENT_COLUMNS, result.rows).split('\n');
+      header.setContent(
+        [
+          `{magenta-fg}Events{/}  |  Property: {cyan-fg}${this.service.propertyId}{/}`,
+          `Range: ${startDate} to ${endDate} (${rangeLabel})`,
+          `{gray-fg}Quota: ${formatQuota(this.service.quota.core)}{/}`,
+          blessed.escape(columnHeader),
+        ].join('\n'),
+      );
+      list.setLabel(` ${result.rows.length} of ${result.rowCount} events `);
+
+      if (result.rows.length === 0) {
+        list.setItems(['No events recorded for this date range.']);
+      } else {
+        list.setItems(rowLines);
+        list.key('enter', () => {
+          const row = result.rows[list.selected];
+          if (!row) return;
+          this.showEventDetail({
+            startDate,
+            endDate,
+            rangeLabel,
+            eventName: row.eventName,
+            onBack: () => this.showEvents(startDate, endDate, rangeLabel),
+          });
+        });
+      }
+    } catch (error) {
+      if (viewId !== this.activeViewId) return;
+      logError(error, 'tui:showEvents');
+      header.setContent(`{red-fg}Error:{/} ${error.message}\n\n{gray-fg}Press Esc/B to go back{/}`);
+    }
+
+    this.screen.render();
+  }
+
+  async showEventDetail(params, service = this.service) {
+    const blessed = this.blessed;
+    const contrib = require('blessed-contrib');
+    const { startDate, endDate, rangeLabel, eventName, onBack } = params;
+    const granularity = params.granularity || getDefaultGranularity(startDate, endDate);
+    this.clearContent();
+    const viewId = this.activeViewId;
+
+    const header = blessed.box({
+      parent: this.contentBox,
+      top: 0,
+      left: 0,
+      width: '100%',
+      height: 5,
+      border: { type: 'line' },
+      style: { border: { fg: 'magenta' } },
+      tags: true,
+      content: `{magenta-fg}Loading ${blessed.escape(eventName)}...{/}`,
+    });
+
+    const chart = contrib.line({
+      top: 5,
+      left: 0,
+      width: '100%',
+      height: '50%-5',
+      border: { type: 'line' },
+      label: ' eventCount ',
+      xPadding: 5,
+      xLabelPadding: 3,
+      style: { text: 'green', baseline: 'white' },
+    });
+    this.contentBox.append(chart);
+
+    const pagesBox = blessed.box({
+      parent: this.contentBox,
+      top: '50%',
+      left: 0,
+      width: '100%',
+      height: '50%',
+      border: { type: 'line' },
+      label: ' Top pages/screens ',
+      tags: true,
+      scrollable: true,
+      alwaysScroll: true,
+      keys: true,
+      vi: true,
+    });
+
+    const granularities = Object.keys(TREND_GRANULARITIES);
+    pagesBox.key(['escape', 'b'], () => onBack());
+    pagesBox.key(['r'], () => this.refreshView((fresh) => this.showEventDetail(params, fresh)));
+    pagesBox.key(['g'], () =>
+      this.showEventDetail({
+        ...params,
+        granularity: granularities[(granularities.indexOf(granularity) + 1) % granularities.length],
+      }),
+    );
+    pagesBox.focus();
+    this.screen.render();
+
+    try {
+      const [trend, pages] = await Promise.all([
+        service.getTrend({
+          startDate,
+          endDate,
+          metrics: ['eventCount'],
+          granularity,
+          dimensionFilter: getEventFilter(eventName),
+        }),
+        service.getEventPages({ startDate, endDate, eventName }),
+      ]);
+      if (viewId !== this.activeViewId) return;
+
+      chart.setData([
+        {
+          title: 'eventCount',
+          x: trend.points.map((p) => p.period),
+          y: trend.points.map((p) => p.eventCount),
+          style: { line: 'magenta' },
+        },
+      ]);
+      const total = trend.points.reduce((sum, p) => sum + p.eventCount, 0);
+      header.setContent(
+        [
+          `{magenta-fg}${blessed.escape(eventName)}{/}  |  Property: {cyan-fg}${this.service.propertyId}{/}  |  Granularity: {yellow-fg}${granularity}{/}`,
+          `Range: ${startDate} to ${endDate} (${rangeLabel})  |  Events: {green-fg}${total}{/}`,
+          '{gray-fg}Esc/B: back  |  G: change granularity  |  R: refresh{/}',
+        ].join('\n'),
+      );
+      pagesBox.setContent(
+        pages.rows.length === 0
+          ? '{yellow-fg}This event was not recorded on any page in this date range.{/}'
+          : blessed.escape(formatTable(EVENT_PAGE_COLUMNS, pages.rows, { numbered: true })),
+      );
+    } catch (error) {
+      if (viewId !== this.activeViewId) return;
+      logError(error, 'tui:showEventDetail');
+      header.setContent(`{red-fg}Error:{/} ${error.message}\n{gray-fg}Press Esc/B to go back{/}`);
+    }
+
+    this.screen.render();
+  }
+
+  showTrendDateRange() {
+    this.showDateRangeSelector(
+      'Choose Date Range For Trend',
+      ({ startDate, endDate, rangeLabel }) =>
+        this.showTrend({ startDate, endDate, rangeLabel, onBack: () => this.showTrendDateRange() }),
+      () => this.showMenu(),
+    );
+  }
+
+  async showTrend(params, service = this.service) {
+    const blessed = this.blessed;
+    const contrib = require('blessed-contrib');
+    const {
+      title = 'Trend',
+      startDate,
+      endDate,
+      rangeLabel,
+      metrics = ['sessions', 'screenPageViews'],
+      path: pathInput,
+      dimensionFilter,
+      onBack,
+    } = params;
+    const granularity = params.granularity || getDefaultGranularity(startDate, endDate);
+    this.clearContent();
+    const viewId = this.activeViewId;
+
+    const header = blessed.box({
+      parent: this.contentBox,
+      top: 0,
+      left: 0,
+      width: '100%',
+      height: 5,
+      border: { type: 'line' },
+      style: { border: { fg: 'cyan' } },
+      tags: true,
+      content: `{cyan-fg}Loading ${title.toLowerCase()}...{/}`,
+    });
+
+    // blessed-contrib canvases initialise on "attach", so they are appended after construction.
+    const chart = contrib.line({
+      top: 5,
+      left: 0,
+      width: '100%',
+      height: '100%-5',
+      border: { type: 'line' },
+      showLegend: true,
+      legend: { width: 22 },
+      xPadding: 5,
+      xLabelPadding: 3,
+      wholeNumbersOnly: false,
+      style: { text: 'green', baseline: 'white' },
+    });
+    this.contentBox.append(chart);
+
+    const granularities = Object.keys(TREND_GRANULARITIES);
+    header.key(['escape', 'b'], () => (onBack ? onBack() : this.showMenu()));
+    header.key(['r'], () => this.refreshView((fresh) => this.showTrend(params, fresh)));
+    header.key(['g'], () =>
+      this.showTrend({
+        ...params,
+        granularity: granularities[(granularities.indexOf(granularity) + 1) % granularities.length],
+      }),
+    );
+    header.focus();
+    this.screen.render();
+
+    try {
+      const trend = await service.getTrend({ startDate, endDate, metrics, granularity, path: pathInput, dimensionFilter });
+      if (viewId !== this.activeViewId) return;
+
+      const colors = ['yellow', 'cyan', 'magenta', 'green', 'red'];
+      chart.setData(
+        metrics.map((name, i) => ({
+          title: name,
+          x: trend.points.map((p) => p.period),
+          y: trend.points.map((p) => p[name]),
+          style: { line: colors[i % colors.length] },
+        })),
+      );
+      const totals = metrics
+        .map((name) => `${name}: {green-fg}${trend.points.reduce((sum, p) => sum + p[name], 0)}{/}`)
+        .join('  |  ');
+      header.setContent(
+        [
+          `{cyan-fg}${title}{/}  |  Property: {cyan-fg}${this.service.propertyId}{/}  |  Granularity: {yellow-fg}${granularity}{/}`,
+          `Range: ${startDate} to ${endDate} (${rangeLabel})  |  ${totals}`,
+          '{gray-fg}Esc/B: back  |  G: change granularity  |  R: refresh{/}',
+        ].join('\n'),
+      );
+    } catch (error) {
+      if (viewId !== this.activeViewId) return;
+      logError(error, 'tui:showTrend');
+      header.setContent(`{red-fg}Error:{/} ${error.message}\n{gray-fg}Press Esc/B to go back{/}`);
+    }
+
+    this.screen.render();
+  }
+
+  async showRealtime() {
+    const blessed = this.blessed;
+    this.clearContent();
+    const viewId = this.activeViewId;
+
+    const summaryBox = blessed.box({
+      parent: this.contentBox,
+      top: 0,
+      left: 0,
+      width: '100%',
+      height: 6,
+      border: { type: 'line' },
+      style: { border: { fg: 'cyan' } },
+      tags: true,
+      content: 'Loading...',
+    });
+
+    const minutesBox = blessed.box({
+      parent: this.contentBox,
+      top: 6,
+      left: 0,
+      width: '100%',
+      height: 9,
+      border: { type: 'line' },
+      style: { border: { fg: 'cyan' } },
+      label: ' Active users per minute (last 30 minutes) ',
+      tags: true,
+      content: 'Loading...',
+    });
+
+    const pagesBox = blessed.box({
+      parent: this.contentBox,
+      top: 15,
+      left: 0,
+      width: '100%',
+      height: '100%-15',
+      border: { type: 'line' },
+      style: { border: { fg: 'green' } },
+      tags: true,
+      scrollable: true,
+      alwaysScroll: true,
+      keys: true,
+      content: 'Loading top pages...',
+    });
+    pagesBox.key(['escape', 'b'], () => this.showMenu());
+    pagesBox.key(['r'], () => refresh());
+    pagesBox.key(['e'], () => {
+      if (!lastSnapshot) return;
+      const { summary, topPages, perMinute, fetchedAt } = lastSnapshot;
+      this.showExportDialog(
+        {
+          meta: [
+            ['Property', this.service.propertyId],
+            ['Fetched at', fetchedAt],
+            ['Window', `last ${MAX_REALTIME_MINUTES} minutes`],
+          ],
+          record: {
+            columns: [
+              { key: 'activeUsers', label: 'Active Users' },
+              { key: 'screenPageViews', label: 'Views' },
+              { key: 'eventCount', label: 'Events' },
+            ],
+            row: summary,
+          },
+          table: {
+            title: 'Top pages/screens',
+            columns: [
+              { key: 'page', label: 'Page', width: 60 },
+              { key: 'views', label: 'Views', align: 'right' },
+            ],
+            rows: topPages,
+            numbered: true,
+          },
+          footer: [`Active users per minute (oldest → now): ${formatSparkline(perMinute.map((p) => Number(p.activeUsers)))}`],
+          json: { fetchedAt, ...summary, minutes: MAX_REALTIME_MINUTES, topPages, perMinute },
+        },
+        'ga4-realtime',
+        () => pagesBox.focus(),
+      );
+    });
+    pagesBox.focus();
+
+    let countdown = 5;
+    let lastSummary = null;
+    let lastSnapshot = null;
+
+    const formatSummaryLine = (s, secs) => {
+      if (!s) return '';
+      const cd = secs !== undefined ? `  |  {yellow-fg}Refreshing in {bold}${secs}{/bold}s{/}` : '';
+      const quota = this.service.quota.realtime;
+      const slowed = getRealtimeRefreshSeconds(quota) > 5 ? '  {red-fg}(refresh slowed: low hourly quota){/}' : '';
+      return `{cyan-fg}Realtime{/} (property {green-fg}${this.service.propertyId}{/})  |  {cyan-fg}Active Users:{/} {green-fg}${s.activeUsers}{/}  |  {cyan-fg}Views:{/} {green-fg}${s.screenPageViews}{/}  |  {cyan-fg}Events:{/} {green-fg}${s.eventCount}{/}${cd}\n{gray-fg}Quota: ${formatQuota(quota)}{/}${slowed}\n{gray-fg}Esc/B: menu  |  R: refresh now  |  E: export  |  q: quit{/}`;
+    };
+
+    const refresh = async () => {
+      try {
+        const [summary, topPages, perMinute] = await Promise.all([
+          this.service.getRealtimeSummary(),
+          this.service.getRealtimeTopPages(20),
+          this.service.getRealtimeMinutes({ minutes: MAX_REALTIME_MINUTES }),
+        ]);
+        if (viewId !== this.activeViewId) return;
+        lastSummary = summary;
+        lastSnapshot = { summary, topPages, perMinute, fetchedAt: new Date().toISOString() };
+        countdown = getRealtimeRefreshSeconds(this.service.quota.realtime);
+
+        summaryBox.setContent(formatSummaryLine(summary));
+        const values = perMinute.map((p) => Number(p.activeUsers));
+        const columnWidth = Math.max(1, Math.min(3, Math.floor(((minutesBox.width || 80) - 12) / values.length)));
+        const chartWidth = values.length * columnWidth;
+        minutesBox.setContent(
+          [
+            ...formatColumnChart(values, { height: 6, columnWidth }).map(
+              (line, i) => `{green-fg}${line.padEnd(chartWidth)}{/}${i === 0 ? `  {gray-fg}max ${Math.max(...values)}{/}` : ''}`,
+            ),
+            `{gray-fg}${'-30m'.padEnd(chartWidth - 3)}now{/}`,
+          ].join('\n'),
+        );
+        const [header, ...rows] = formatTable(
+          [
+            { key: 'page', label: 'Page', width: 60 },
+            { key: 'views', label: 'Views', align: 'right' },
+          ],
+          topPages,
+          { numbered: true },
+        ).split('\n');
+        pagesBox.setContent(`{cyan-fg}${blessed.escape(header)}{/}\n${blessed.escape(rows.join('\n'))}`);
+        pagesBox.setScrollPerc(0);
+      } catch (error) {
+        if (viewId !== this.activeViewId) return;
+        logError(error, 'tui:showRealtime');
+        summaryBox.setContent(`{red-fg}Error:{/} ${error.message}`);
+        pagesBox.setContent(`Logged to ${ERROR_LOG_FILE}`);
+      }
+      this.screen.render();
+    };
+
+    const tick = () => {
+      if (viewId !== this.activeViewId) return;
+      if (countdown > 0) {
+        if (lastSummary) {
+          summaryBox.setContent(formatSummaryLine(lastSummary, countdown));
+        }
+        countdown--;
+        this.screen.render();
+      } else {
+        refresh();
+      }
+    };
+
+    await refresh();
+    this.realtimeInterval = setInterval(tick, 1000);
+    this.screen.render();
+  }
+
+  async start() {
+    await this.showMenu();
+  }
+}
+
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+// "lastN" counts today as one of the N days.
+const DATE_RANGE_OPTIONS = [
+  { value: 'today', label: 'Today' },
+  { value: 'yesterday', label: 'Yesterday' },
+  { value: 'last7', label: 'Last 7 days' },
+  { value: 'last14', label: 'Last 14 days' },
+  { value: 'last30', label: 'Last 30 days' },
+  { value: 'last90', label: 'Last 90 days' },
+  { value: 'wtd', label: 'Week to date' },
+  { value: 'mtd', label: 'Month to date' },
+  { value: 'qtd', label: 'Quarter to date' },
+  { value: 'ytd', label: 'Year to date' },
+  { value: 'last-week', label: 'Last week (Mon-Sun)' },
+  { value: 'last-month', label: 'Last month' },
+  { value: 'last-quarter', label: 'Last quarter' },
+  { value: 'all', label: 'All time (5 years)' },
+];
+
+function getLocalTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function getTodayInTimeZone(timeZone = getLocalTimeZone()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(new Date())
+      .map(({ type, value }) => [type, value]),
+  );
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+function getDateRange(range = 'last7', timeZone) {
+  const today = getTodayInTimeZone(timeZone);
+  const date = parseIsoDate(today);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  const quarterStartMonth = month - (month % 3);
+  const utc = (y, m, d) => formatDate(new Date(Date.UTC(y, m, d)));
+  const weekStart = addDays(today, -((date.getUTCDay() + 6) % 7));
+
+  switch (range) {
+    case 'today':
+      return { startDate: today, endDate: today };
+    case 'yesterday':
+      return { startDate: addDays(today, -1), endDate: addDays(today, -1) };
+    case 'wtd':
+      return { startDate: weekStart, endDate: today };
+    case 'mtd':
+      return { startDate: utc(year, month, 1), endDate: today };
+    case 'qtd':
+      return { startDate: utc(year, quarterStartMonth, 1), endDate: today };
+    case 'ytd':
+      return { startDate: utc(year, 0, 1), endDate: today };
+    case 'last-week':
+      return { startDate: addDays(weekStart, -7), endDate: addDays(weekStart, -1) };
+    case 'last-month':
+      return { startDate: utc(year, month - 1, 1), endDate: utc(year, month, 0) };
+    case 'last-quarter':
+      return { startDate: utc(year, quarterStartMonth - 3, 1), endDate: utc(year, quarterStartMonth, 0) };
+    case 'all':
+    case 'alltime':
+      return { startDate: utc(year - 5, month, date.getUTCDate()), endDate: today };
+    default: {
+      const match = /^last(\d+)$/.exec(String(range));
+      if (!match || parseInt(match[1], 10) === 0) {
+        throw new Error(
+          `Unknown range "${range}". Use one of: ${DATE_RANGE_OPTIONS.map((o) => o.value).join(', ')}, lastN, custom`,
+        );
+      }
+      return { startDate: addDays(today, -parseInt(match[1], 10)), endDate: today };
+    }
+  }
+}
+
+function resolveRelativeDate(value, timeZone) {
+  const text = String(value || '').trim();
+  if (isIsoDate(text)) return text;
+  const today = getTodayInTimeZone(timeZone);
+  if (text === 'today') return today;
+  if (text === 'yesterday') return addDays(today, -1);
+  const match = /^(\d+)daysAgo$/.exec(text);
+  if (match) return addDays(today, -parseInt(match[1], 10));
+  return null;
+}
+
+function parseIsoDate(value) {
+  const [year, month, day] = String(value).split('-').map((n) => parseInt(n, 10));
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function addDays(isoDate, days) {
+  const date = parseIsoDate(isoDate);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatDate(date);
+}
+
+const COMPARE_MODES = ['previous', 'yoy'];
+
+// "previous" is the window of equal length ending the day before startDate; "yoy" is the same window a year earlier.
+function getComparisonRange(startDate, endDate, mode) {
+  if (!COMPARE_MODES.includes(mode)) {
+    throw new Error(`--compare must be one of: ${COMPARE_MODES.join(', ')}`);
+  }
+  if (mode === 'yoy') {
+    const shift = (isoDate) => {
+      const date = parseIsoDate(isoDate);
+      const day = date.getUTCDate();
+      date.setUTCDate(1);
+      date.setUTCFullYear(date.getUTCFullYear() - 1);
+      // Feb 29 maps to Feb 28 rather than rolling over into March.
+      const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+      date.setUTCDate(Math.min(day, lastDay));
+      return formatDate(date);
+    };
+    return { startDate: shift(startDate), endDate: shift(endDate) };
+  }
+  const days = Math.round((parseIsoDate(endDate) - parseIsoDate(startDate)) / 86400000) + 1;
+  const previousEnd = addDays(startDate, -1);
+  return { startDate: addDays(previousEnd, -(days - 1)), endDate: previousEnd };
+}
+
+function buildDateRanges(startDate, endDate, compareRange) {
+  if (!compareRange) return [{ startDate, endDate }];
+  return [
+    { startDate, endDate, name: 'current' },
+    { startDate: compareRange.startDate, endDate: compareRange.endDate, name: 'previous' },
+  ];
+}
+
+// Multi-range responses carry an extra "dateRange" dimension holding the range name.
+function splitRowsByDateRange(data) {
+  const index = (data?.dimensionHeaders || []).findIndex((h) => h.name === 'dateRange');
+  const current = [];
+  const previous = [];
+  (data?.rows || []).forEach((row) => {
+    const value = row.dimensionValues?.[index]?.value;
+    if (value === 'previous' || value === 'date_range_1') previous.push(row);
+    else current.push(row);
+  });
+  return { current, previous };
+}
+
+function compareMetrics(current, previous = {}) {
+  return Object.fromEntries(
+    Object.keys(current).map((key) => {
+      const cur = parseFloat(current[key] || '0');
+      const prev = parseFloat(previous[key] || '0');
+      const delta = Math.round((cur - prev) * 100) / 100;
+      const deltaPct = prev === 0 ? null : Math.round(((cur - prev) / prev) * 1000) / 10;
+      return [key, { current: current[key] || '0', previous: previous[key] || '0', delta, deltaPct }];
+    }),
+  );
+}
+
+function getIsoWeekKey(isoDate) {
+  const date = parseIsoDate(isoDate);
+  const weekday = date.getUTCDay() || 7;
+  date.setUTCDate(date.getUTCDate() + 4 - weekday);
+  const yearStart = new Date(Date.UTC(date.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((date - yearStart) / 86400000 + 1) / 7);
+  return `${date.getUTCFullYear()}${String(week).padStart(2, '0')}`;
+}
+
+const TREND_GRANULARITIES = {
+  day: {
+    dimension: 'date',
+    key: (isoDate) => isoDate.replace(/-/g, ''),
+    label: (key) => `${key.slice(0, 4)}-${key.slice(4, 6)}-${key.slice(6, 8)}`,
+  },
+  week: {
+    dimension: 'isoYearIsoWeek',
+    key: getIsoWeekKey,
+    label: (key) => `${key.slice(0, 4)}-W${key.slice(4, 6)}`,
+  },
+  month: {
+    dimension: 'yearMonth',
+    key: (isoDate) => isoDate.slice(0, 7).replace('-', ''),
+    label: (key) => `${key.slice(0, 4)}-${key.slice(4, 6)}`,
+  },
+};
+
+function getTrendBuckets(startDate, endDate, granularity) {
+  const { key } = TREND_GRANULARITIES[granularity];
+  const keys = new Set();
+  for (let day = startDate; day <= endDate; day = addDays(day, 1)) {
+    keys.add(key(day));
+  }
+  return [...keys];
+}
+
+const SOURCE_GROUPINGS = {
+  source: [{ key: 'source', label: 'Source', dimension: 'sessionSource' }],
+  medium: [{ key: 'medium', label: 'Medium', dimension: 'sessionMedium' }],
+  'source-medium': [
+    { key: 'source', label: 'Source', dimension: 'sessionSource' },
+    { key: 'medium', label: 'Medium', dimension: 'sessionMedium' },
+  ],
+  campaign: [{ key: 'campaign', label: 'Campaign', dimension: 'sessionCampaignName' }],
+  channel: [{ key: 'channel', label: 'Channel', dimension: 'sessionDefaultChannelGroup' }],
+};
+
+const AUDIENCE_GROUPINGS = {
+  country: [{ key: 'country', label: 'Country', dimension: 'country' }],
+  city: [
+    { key: 'city', label: 'City', dimension: 'city' },
+    { key: 'country', label: 'Country', dimension: 'country' },
+  ],
+  device: [{ key: 'deviceCategory', label: 'Device', dimension: 'deviceCategory' }],
+  browser: [{ key: 'browser', label: 'Browser', dimension: 'browser' }],
+  os: [{ key: 'operatingSystem', label: 'OS', dimension: 'operatingSystem' }],
+  language: [{ key: 'language', label: 'Language', dimension: 'language' }],
+};
+
+const AUDIENCE_METRICS = ['totalUsers', 'sessions', 'screenPageViews', 'engagementRate'];
+
+const SOURCE_METRICS = ['sessions', 'totalUsers', 'engagementRate', 'keyEvents'];
+
+const PATH_REPORT_METRICS = [
+  'sessions',
+  'totalUsers',
+  'newUsers',
+  'screenPageViews',
+  'eventCount',
+  'averageSessionDuration',
+  'bounceRate',
+  'engagementRate',
+];
+
+function formatPathRate(value) {
+  const n = parseFloat(value);
+  if (n > 0 && n < 1) return String(Math.round(n * 1000) / 10);
+  return value;
+}
+
+function formatPathDuration(value) {
+  const n = parseFloat(value);
+  return isNaN(n) ? value : String(Math.round(n * 10) / 10);
+}
+
+const PATH_MATCH_TYPES = { exact: null, prefix: 'BEGINS_WITH', contains: 'CONTAINS', regex: 'PARTIAL_REGEXP' };
+
+const REALTIME_DIMENSIONS = ['unifiedScreenName', 'country', 'city', 'deviceCategory', 'platform'];
+const MAX_REALTIME_MINUTES = 30;
+
+const FUNNEL_BREAKDOWNS = { device: 'deviceCategory' };
+
+function combineFilters(filters) {
+  if (filters.length === 0) return {};
+  if (filters.length === 1) return { dimensionFilter: filters[0] };
+  return { dimensionFilter: { andGroup: { expressions: filters } } };
+}
+
+function getEventFilter(eventName) {
+  return { filter: { fieldName: 'eventName', stringFilter: { matchType: 'EXACT', value: eventName } } };
+}
+
+function getDefaultGranularity(startDate, endDate) {
+  const days = Math.round((parseIsoDate(endDate) - parseIsoDate(startDate)) / 86400000) + 1;
+  if (days <= 92) return 'day';
+  if (days <= 730) return 'week';
+  return 'month';
+}
+
+function getQuotaRatio(status) {
+  const consumed = Number(status?.consumed || 0);
+  const remaining = Number(status?.remaining ?? 0);
+  const total = consumed + remaining;
+  return total > 0 ? remaining / total : 1;
+}
+
+function formatQuota(quota) {
+  if (!quota) return 'no quota data yet';
+  const part = (label, status) =>
+    status ? `${label} ${Number(status.remaining || 0).toLocaleString()} left (${Number(status.consumed || 0).toLocaleString()} used)` : null;
+  return [part('hourly', quota.tokensPerHour), part('daily', quota.tokensPerDay)].filter(Boolean).join(', ');
+}
+
+function getRealtimeRefreshSeconds(quota) {
+  const ratio = getQuotaRatio(quota?.tokensPerHour);
+  if (ratio < 0.1) return 60;
+  if (ratio < 0.25) return 15;
+  return 5;
+}
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+function formatSparkline(values) {
+  if (values.length === 0) return '';
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return values
+    .map((v) => SPARK_CHARS[max === min ? 0 : Math.round(((v - min) / (max - min)) * (SPARK_CHARS.length - 1))])
+    .join('');
+}
+
+function formatColumnChart(values, { height = 6, columnWidth = 2 } = {}) {
+  const max = Math.max(...values, 0);
+  const levels = values.map((v) => (max > 0 ? Math.round((v / max) * height * 8) : 0));
+  const lines = [];
+  for (let row = height - 1; row >= 0; row -= 1) {
+    lines.push(
+      levels
+        .map((level) => {
+          const fill = Math.min(8, Math.max(0, level - row * 8));
+          return (fill === 0 ? ' ' : SPARK_CHARS[fill - 1]).repeat(columnWidth);
+        })
+        .join('')
+        .trimEnd(),
+    );
+  }
+  return lines;
+}
+
+function isIsoDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value || '').trim());
+}
+
+function resolveDateRange(options = {}, timeZone) {
+  const range = options.range;
+  const hasCustomRange = Boolean(options['start-date'] || options['end-date']);
+
+  if (range === 'custom' || hasCustomRange) {
+    if (!options['start-date'] || !options['end-date']) {
+      throw new Error('Custom range requires both --start-date and --end-date');
+    }
+    const startDate = resolveRelativeDate(options['start-date'], timeZone);
+    const endDate = resolveRelativeDate(options['end-date'], timeZone);
+    if (!startDate || !endDate) {
+      throw new Error('Dates must use YYYY-MM-DD, today, yesterday or NdaysAgo');
+    }
+    if (startDate > endDate) {
+      throw new Error(`Start date ${startDate} is after end date ${endDate}`);
+    }
+    return { startDate, endDate };
+  }
+
+  return getDateRange(range, timeZone);
+}
+
+function parseFieldList(value) {
+  if (!value || value === true) return [];
+  return String(value)
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// "-sessions,country" -> sessions descending, then country ascending.
+function parseOrderBys(value, metrics) {
+  return parseFieldList(value).map((spec) => {
+    const desc = spec.startsWith('-');
+    const name = spec.replace(/^[-+]/, '');
+    return metrics.includes(name) ? { metric: { metricName: name }, desc } : { dimension: { dimensionName: name }, desc };
+  });
+}
+
+const DIMENSION_FILTER_OPERATORS = {
+  '==': { matchType: 'EXACT' },
+  '!=': { matchType: 'EXACT', negate: true },
+  '=@': { matchType: 'CONTAINS' },
+  '!@': { matchType: 'CONTAINS', negate: true },
+  '=~': { matchType: 'PARTIAL_REGEXP' },
+  '!~': { matchType: 'PARTIAL_REGEXP', negate: true },
+};
+
+const METRIC_FILTER_OPERATORS = {
+  '==': { operation: 'EQUAL' },
+  '!=': { operation: 'EQUAL', negate: true },
+  '>': { operation: 'GREATER_THAN' },
+  '>=': { operation: 'GREATER_THAN_OR_EQUAL' },
+  '<': { operation: 'LESS_THAN' },
+  '<=': { operation: 'LESS_THAN_OR_EQUAL' },
+};
+
+// Filter syntax follows the classic Core Reporting API: "country==Canada;sessions>10".
+function parseFilters(value, metrics) {
+  const dimensionExpressions = [];
+  const metricExpressions = [];
+
+  String(value || '')
+    .split(';')
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .forEach((expression) => {
+      const match = expression.match(/^([A-Za-z0-9_:]+)(==|!=|=@|!@|=~|!~|>=|<=|>|<)(.*)$/);
+      if (!match) {
+        throw new Error(`Invalid filter expression: ${expression}`);
+      }
+      const [, fieldName, operator, operand] = match;
+
+      if (metrics.includes(fieldName)) {
+        const op = METRIC_FILTER_OPERATORS[operator];
+        const number = parseFloat(operand);
+        if (!op || isNaN(number)) {
+          throw new Error(`Invalid metric filter: ${expression}`);
+        }
+        const filter = { filter: { fieldName, numericFilter: { operation: op.operation, value: { doubleValue: number } } } };
+        metricExpressions.push(op.negate ? { notExpression: filter } : filter);
+        return;
+      }
+
+      const op = DIMENSION_FILTER_OPERATORS[operator];
+      if (!op) {
+        throw new Error(`Operator ${operator} is not valid for dimension ${fieldName}`);
+      }
+      const filter = { filter: { fieldName, stringFilter: { matchType: op.matchType, value: operand, caseSensitive: false } } };
+      dimensionExpressions.push(op.negate ? { notExpression: filter } : filter);
+    });
+
+  const combine = (expressions) => {
+    if (expressions.length === 0) return undefined;
+    if (expressions.length === 1) return expressions[0];
+    return { andGroup: { expressions } };
+  };
+
+  return { dimensionFilter: combine(dimensionExpressions), metricFilter: combine(metricExpressions) };
+}
+
+function collectFilterFields(expression) {
+  if (!expression) return [];
+  if (expression.filter) return [expression.filter.fieldName];
+  if (expression.notExpression) return collectFilterFields(expression.notExpression);
+  const group = expression.andGroup || expression.orGroup;
+  return group ? group.expressions.flatMap(collectFilterFields) : [];
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function suggestFieldName(name, candidates) {
+  const lower = name.toLowerCase();
+  let best = null;
+  let bestDistance = Infinity;
+  candidates.forEach((candidate) => {
+    const distance = levenshtein(lower, candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  return bestDistance <= Math.max(2, Math.floor(name.length / 4)) ? best : null;
+}
+
+// Deprecated API names still count as known; the API accepts them.
+function findUnknownFields(metadata, { dimensions = [], metrics = [] }) {
+  const namesOf = (items) => (items || []).flatMap((item) => [item.apiName, ...(item.deprecatedApiNames || [])]);
+  const dimensionNames = namesOf(metadata?.dimensions);
+  const metricNames = namesOf(metadata?.metrics);
+  const problems = [];
+
+  const check = (kind, names, known, other, otherKind) => {
+    [...new Set(names)].forEach((name) => {
+      if (known.includes(name)) return;
+      if (other.includes(name)) {
+        problems.push(`"${name}" is a ${otherKind}, not a ${kind}`);
         return;
       }
-      onSelect({
-        startDate,
-        endDate,
-        rangeLabel: `Custom (${startDate} to ${endDate})`,
-      });
+      const suggestion = suggestFieldName(name, known);
+      problems.push(
+        `Unknown ${kind} "${name}". ${suggestion ? `Did you mean "${suggestion}"?` : 'List available fields with: ga4 metadata --search <term>'}`,
+      );
     });
+  };
+  check('dimension', dimensions, dimensionNames, metricNames, 'metric');
+  check('metric', metrics, metricNames, dimensionNames, 'dimension');
+  return problems;
+}
 
-    input.key('enter', () => form.submit());
-    input.key(['escape', 'b'], () => onBack());
-    input.focus();
-    this.screen.render();
+const OUTPUT_FORMATS = ['table', 'json', 'ndjson', 'csv', 'tsv', 'markdown'];
+
+function resolveOutputFormat(options = {}) {
+  const format = options.json ? 'json' : options.format && options.format !== true ? String(options.format) : 'table';
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`--format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+function truncateText(value, width) {
+  const text = String(value ?? '');
+  if (!width || text.length <= width) return text;
+  return `${text.slice(0, width - 3)}...`;
+}
+
+function isComparison(value) {
+  return Boolean(value) && typeof value === 'object' && 'current' in value && 'previous' in value;
+}
+
+function formatChange(value) {
+  if (value.deltaPct === null) return value.delta === 0 ? '0%' : 'new';
+  return `${value.deltaPct > 0 ? '+' : ''}${value.deltaPct}%`;
+}
+
+// Columns: { key, label, align: 'right', width (truncate in tables), display (decorate value in tables) }.
+function displayCell(col, row) {
+  const value = row[col.key];
+  const show = (v) => (col.display ? col.display(v, row) : v);
+  if (isComparison(value)) return `${show(value.current)} vs ${show(value.previous)} (${formatChange(value)})`;
+  return show(value);
+}
+
+function formatTable(columns, rows, { numbered = false } = {}) {
+  const cols = numbered ? [{ key: '#', label: '#' }, ...columns] : columns;
+  const cells = rows.map((row, idx) =>
+    cols.map((col) => {
+      if (col.key === '#' && numbered) return String(idx + 1);
+      return truncateText(displayCell(col, row), col.width);
+    }),
+  );
+  // reduce, not Math.max(...cells), which overflows the call stack on very large tables.
+  const widths = cols.map((col, i) => cells.reduce((width, c) => Math.max(width, c[i].length), col.label.length));
+  const formatLine = (values) =>
+    values
+      .map((value, i) => (cols[i].align === 'right' ? value.padStart(widths[i]) : value.padEnd(widths[i])))
+      .join('  ')
+      .trimEnd();
+
+  const lines = [formatLine(cols.map((col) => col.label))];
+  lines.push('-'.repeat(widths.reduce((sum, w) => sum + w, 0) + 2 * (cols.length - 1)));
+  cells.forEach((c) => lines.push(formatLine(c)));
+  return lines.join('\n');
+}
+
+function formatDelimitedValue(value, delimiter) {
+  const text = String(value ?? '');
+  if (delimiter === '\t') return text.replace(/[\t\r\n]+/g, ' ');
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatDelimited(columns, rows, delimiter, { header = true } = {}) {
+  const lines = header ? [columns.map((col) => formatDelimitedValue(col.key, delimiter)).join(delimiter)] : [];
+  rows.forEach((row) => {
+    lines.push(columns.map((col) => formatDelimitedValue(row[col.key], delimiter)).join(delimiter));
+  });
+  return lines.join('\n');
+}
+
+function formatMarkdownTable(columns, rows) {
+  const escape = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  const lines = [
+    `| ${columns.map((col) => escape(col.label)).join(' | ')} |`,
+    `| ${columns.map((col) => (col.align === 'right' ? '---:' : '---')).join(' | ')} |`,
+  ];
+  rows.forEach((row) => {
+    lines.push(`| ${columns.map((col) => escape(displayCell(col, row))).join(' | ')} |`);
+  });
+  return lines.join('\n');
+}
+
+// A dataset describes one command result independently of the output format:
+//   meta:   [[label, value]] context lines (table/markdown only)
+//   record: { columns, row } single-row summary shown as "Label: value" lines
+//   table:  { title, columns, rows, numbered, empty } tabular rows
+//   flat:   { columns, rows } rows for csv/tsv/ndjson (defaults to table, then record)
+//   json:   payload for --format json (defaults to the flat rows)
+//   footer: extra lines after the table (table/markdown only)
+function getFlatRows(dataset) {
+  if (dataset.flat) return dataset.flat;
+  if (dataset.table) return { columns: dataset.table.columns, rows: dataset.table.rows };
+  if (dataset.record) return { columns: dataset.record.columns, rows: [dataset.record.row] };
+  return { columns: [], rows: [] };
+}
+
+function flattenComparisons({ columns, rows }) {
+  const compared = new Set(columns.filter((col) => rows.some((row) => isComparison(row[col.key]))).map((col) => col.key));
+  if (compared.size === 0) return { columns, rows };
+
+  return {
+    columns: columns.flatMap((col) =>
+      compared.has(col.key)
+        ? [
+            col,
+            { key: `${col.key}Previous`, label: `${col.label} (prev)` },
+            { key: `${col.key}Delta`, label: `${col.label} Δ` },
+            { key: `${col.key}DeltaPct`, label: `${col.label} Δ%` },
+          ]
+        : [col],
+    ),
+    rows: rows.map((row) => {
+      const flat = { ...row };
+      compared.forEach((key) => {
+        const value = row[key];
+        if (!isComparison(value)) return;
+        flat[key] = value.current;
+        flat[`${key}Previous`] = value.previous;
+        flat[`${key}Delta`] = value.delta;
+        flat[`${key}DeltaPct`] = value.deltaPct ?? '';
+      });
+      return flat;
+    }),
+  };
+}
+
+function pickColumns(row, columns) {
+  return Object.fromEntries(columns.map((col) => [col.key, row[col.key]]));
+}
+
+function renderDataset(dataset, format) {
+  const flat = getFlatRows(dataset);
+
+  switch (format) {
+    case 'json':
+      return JSON.stringify(dataset.json ?? flat.rows, null, 2);
+    case 'ndjson':
+      return flat.rows.map((row) => JSON.stringify(pickColumns(row, flat.columns))).join('\n');
+    case 'csv':
+    case 'tsv': {
+      const { columns, rows } = flattenComparisons(flat);
+      return formatDelimited(columns, rows, format === 'csv' ? ',' : '\t');
+    }
+    case 'markdown': {
+      const blocks = [];
+      if (dataset.meta?.length) {
+        blocks.push(dataset.meta.map(([label, value]) => `- **${label}:** ${value}`).join('\n'));
+      }
+      if (dataset.record) {
+        const { columns, row } = dataset.record;
+        blocks.push(
+          formatMarkdownTable(
+            [
+              { key: 'label', label: 'Metric' },
+              { key: 'value', label: 'Value', align: 'right' },
+            ],
+            columns.map((col) => ({ label: col.label, value: displayCell(col, row) })),
+          ),
+        );
+      }
+      if (dataset.table) {
+        const { title, columns, rows, empty } = dataset.table;
+        if (title) blocks.push(`**${title}**`);
+        blocks.push(rows.length === 0 && empty ? `_${empty}_` : formatMarkdownTable(columns, rows));
+      }
+      if (dataset.footer?.length) {
+        blocks.push(['```', ...dataset.footer, '```'].join('\n'));
+      }
+      return blocks.join('\n\n');
+    }
+    case 'table':
+    default: {
+      const lines = (dataset.meta || []).map(([label, value]) => `${label}: ${value}`);
+      if (dataset.record) {
+        const { columns, row } = dataset.record;
+        columns.forEach((col) => lines.push(`${col.label}: ${displayCell(col, row)}`));
+      }
+      if (dataset.table) {
+        const { title, columns, rows, numbered, empty } = dataset.table;
+        if (title) lines.push(dataset.record ? `\n${title}` : title);
+        if (rows.length === 0) lines.push(empty || 'No rows returned.');
+        else lines.push(formatTable(columns, rows, { numbered }));
+      }
+      if (dataset.footer?.length) lines.push('', ...dataset.footer);
+      return lines.join('\n');
+    }
+  }
+}
+
+function writeOutput(text, options = {}) {
+  if (options.output && options.output !== true) {
+    fs.writeFileSync(options.output, text.endsWith('\n') ? text : `${text}\n`, 'utf-8');
+    console.error(`Saved to ${path.resolve(options.output)}`);
+    return;
+  }
+  if (options.writer) {
+    options.writer(text);
+    return;
+  }
+  console.log(text);
+}
+
+function printDataset(dataset, options) {
+  writeOutput(renderDataset(dataset, resolveOutputFormat(options)), options);
+}
+
+const DEFAULT_PAGE_SIZE = 10000;
+const MAX_PAGE_SIZE = 250000;
+const STREAMING_FORMATS = ['ndjson', 'csv', 'tsv'];
+
+function parsePageSize(options = {}) {
+  if (options['page-size'] === undefined) return DEFAULT_PAGE_SIZE;
+  const pageSize = parseInt(options['page-size'], 10);
+  if (isNaN(pageSize) || pageSize <= 0 || pageSize > MAX_PAGE_SIZE) {
+    throw new Error(`--page-size must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  return pageSize;
+}
+
+function reportProgress(fetched, rowCount, done = false) {
+  const text = `Fetched ${fetched.toLocaleString('en-US')} of ${rowCount.toLocaleString('en-US')} rows`;
+  if (process.stderr.isTTY) {
+    process.stderr.write(`\r${text}${done ? '\n' : ''}`);
+  } else if (done) {
+    process.stderr.write(`${text}\n`);
+  }
+}
+
+function writeChunk(stream, text) {
+  if (stream.write(text)) return Promise.resolve();
+  return new Promise((resolve) => stream.once('drain', resolve));
+}
+
+// NDJSON/CSV/TSV rows are written as each page arrives; other formats need every row first.
+async function printPagedRows(pages, { columns, meta = [], json }, options) {
+  const format = resolveOutputFormat(options);
+  let fetched = 0;
+  let rowCount = 0;
+
+  if (!STREAMING_FORMATS.includes(format)) {
+    const rows = [];
+    for await (const page of pages) {
+      // One push per row: spreading a large page into push() overflows the call stack.
+      page.rows.forEach((row) => rows.push(row));
+      ({ fetched, rowCount } = page);
+      reportProgress(fetched, rowCount);
+    }
+    reportProgress(fetched, rowCount, true);
+    printDataset({ meta: [...meta, ['Rows', rows.length]], table: { columns, rows }, json: json(rows) }, options);
+    return;
+  }
+
+  const toFile = options.output && options.output !== true;
+  const stream = toFile ? fs.createWriteStream(options.output, 'utf-8') : process.stdout;
+  // Rejects the next write instead of crashing as an unhandled 'error' event.
+  const failed = toFile ? new Promise((resolve, reject) => stream.on('error', reject)) : null;
+  failed?.catch(() => {});
+  const write = (text) => (failed ? Promise.race([writeChunk(stream, text), failed]) : writeChunk(stream, text));
+  const delimiter = format === 'csv' ? ',' : '\t';
+  let header = format !== 'ndjson';
+
+  for await (const page of pages) {
+    if (page.rows.length > 0) {
+      const text =
+        format === 'ndjson'
+          ? page.rows.map((row) => JSON.stringify(pickColumns(row, columns))).join('\n')
+          : formatDelimited(columns, page.rows, delimiter, { header });
+      header = false;
+      await write(`${text}\n`);
+    }
+    ({ fetched, rowCount } = page);
+    reportProgress(fetched, rowCount);
+  }
+  if (header) await write(`${formatDelimited(columns, [], delimiter)}\n`);
+  reportProgress(fetched, rowCount, true);
+
+  if (toFile) {
+    const ended = new Promise((resolve, reject) => stream.end((error) => (error ? reject(error) : resolve())));
+    await Promise.race([ended, failed]);
+    console.error(`Saved to ${path.resolve(options.output)}`);
+  }
+}
+
+const TOP_PAGES_SORT_FIELDS = {
+  views: { metric: { metricName: 'screenPageViews' } },
+  sessions: { metric: { metricName: 'sessions' } },
+  bounceRate: { metric: { metricName: 'bounceRate' } },
+  engagementTime: { metric: { metricName: 'averageSessionDuration' } },
+  path: { dimension: { dimensionName: 'pagePath' } },
+  pageTitle: { dimension: { dimensionName: 'pageTitle' } },
+};
+
+const TOP_PAGES_TUI_PAGE_SIZE = 50;
+
+const EXPORT_FORMATS = { csv: 'csv', json: 'json', markdown: 'md' };
+
+const TOP_PAGES_COLUMNS = [
+  { key: 'path', label: 'Path', width: 36 },
+  { key: 'pageTitle', label: 'Title', width: 34 },
+  { key: 'views', label: 'Views', align: 'right' },
+  { key: 'sessions', label: 'Sessions', align: 'right' },
+  { key: 'bounceRate', label: 'Bounce', align: 'right', display: (v) => `${v}%` },
+  { key: 'engagementTime', label: 'Engage(s)', align: 'right' },
+];
+
+const SOURCE_METRIC_COLUMNS = [
+  { key: 'sessions', label: 'Sessions', align: 'right' },
+  { key: 'totalUsers', label: 'Users', align: 'right' },
+  { key: 'engagementRate', label: 'Engagement', align: 'right', display: (v) => `${v}%` },
+  { key: 'keyEvents', label: 'Key Events', align: 'right' },
+];
+
+function getSourceColumns(by) {
+  return [...SOURCE_GROUPINGS[by].map(({ key, label }) => ({ key, label, width: 40 })), ...SOURCE_METRIC_COLUMNS];
+}
+
+const AUDIENCE_METRIC_COLUMNS = [
+  { key: 'totalUsers', label: 'Users', align: 'right' },
+  { key: 'share', label: 'Share', align: 'right', display: (v) => `${v}%` },
+  { key: 'sessions', label: 'Sessions', align: 'right' },
+  { key: 'screenPageViews', label: 'Views', align: 'right' },
+  { key: 'engagementRate', label: 'Engagement', align: 'right', display: (v) => `${v}%` },
+];
+
+const EVENT_COLUMNS = [
+  { key: 'eventName', label: 'Event', width: 40 },
+  { key: 'eventCount', label: 'Events', align: 'right' },
+  { key: 'totalUsers', label: 'Users', align: 'right' },
+  { key: 'eventCountPerUser', label: 'Per User', align: 'right' },
+];
+
+const EVENT_PAGE_COLUMNS = [
+  { key: 'path', label: 'Path', width: 60 },
+  { key: 'eventCount', label: 'Events', align: 'right' },
+  { key: 'totalUsers', label: 'Users', align: 'right' },
+];
+
+const FUNNEL_COLUMNS = [
+  { key: 'stepNumber', label: '#', align: 'right' },
+  { key: 'step', label: 'Step', width: 40 },
+  { key: 'activeUsers', label: 'Users', align: 'right' },
+  { key: 'completionRate', label: 'Completion', align: 'right', display: (v) => `${v}%` },
+  { key: 'abandonments', label: 'Abandoned', align: 'right' },
+  { key: 'abandonmentRate', label: 'Abandon %', align: 'right', display: (v) => `${v}%` },
+];
+
+function getFunnelColumns(breakdown) {
+  if (!breakdown) return FUNNEL_COLUMNS;
+  return [...FUNNEL_COLUMNS.slice(0, 2), { key: 'segment', label: breakdown }, ...FUNNEL_COLUMNS.slice(2)];
+}
+
+const PATH_METRIC_COLUMNS = [
+  { key: 'sessions', label: 'Sessions', align: 'right' },
+  { key: 'totalUsers', label: 'Users', align: 'right' },
+  { key: 'newUsers', label: 'New Users', align: 'right' },
+  { key: 'pageviews', label: 'Pageviews', align: 'right' },
+  { key: 'eventCount', label: 'Events', align: 'right' },
+  { key: 'averageSessionDuration', label: 'Avg Session', align: 'right', display: (v) => `${v}s` },
+  { key: 'bounceRate', label: 'Bounce Rate', align: 'right', display: (v) => `${v}%` },
+  { key: 'engagementRate', label: 'Engagement Rate', align: 'right', display: (v) => `${v}%` },
+];
+
+const MULTI_VALUE_OPTIONS = new Set(['step']);
+
+function parseArgs(argv) {
+  const args = [...argv];
+  const options = {};
+  const positionals = [];
+
+  for (let i = 0; i < args.length; i += 1) {
+    const token = args[i];
+    if (token.startsWith('--')) {
+      const key = token.slice(2);
+      const value = args[i + 1] && !args[i + 1].startsWith('--') ? args[++i] : true;
+      if (MULTI_VALUE_OPTIONS.has(key)) {
+        options[key] = [...(options[key] || []), value];
+      } else {
+        options[key] = value;
+      }
+    } else {
+      positionals.push(token);
+    }
+  }
+
+  return { positionals, options };
+}
+
+function printUsage() {
+  console.log(`Usage:
+  ga4 init <service-account-json> [--profile <name>] [--property <id>] [--impersonate <sa-email>] [--range <range>] [--limit <n>] [--format <format>]
+  ga4 auth login --client-secret-file <client_secret.json> | --client-id <id> --client-secret <secret> [--profile <name>] [--impersonate <sa-email>] [--no-browser]
+  ga4 auth adc [--profile <name>] [--impersonate <sa-email>]
+  ga4 auth status [--profile <name>] [--json]
+  ga4 profiles list|use <name>|remove <name>
+  ga4 tui [--property <id>]
+  ga4 realtime --property <id> [--by unifiedScreenName|country|city|deviceCategory|platform|minutesAgo] [--minutes 5|30] [--path /x | --title <page title>] [--json]
+  ga4 report --property <id> [--range <range>] [--start-date <date> --end-date <date>] [--compare previous|yoy] [--json]
+  ga4 pages --property <id> [--range <range>] [--start-date <date> --end-date <date>] [--limit 20 | --all [--page-size 10000]] [--compare previous|yoy] [--json]
+  ga4 path <path> [<path> ...] [--match exact|prefix|regex|contains] [--paths-file <file>] [--group <name>] --property <id> [--range <range>] [--start-date <date> --end-date <date>] [--compare previous|yoy] [--json]
+  ga4 sources [--by source|medium|source-medium|campaign|channel] [--channel <name>] [--path /x] [--limit 20] [--range ...] [--json]
+  ga4 audience [--by country|city|device|browser|os|language] [--path /x] [--limit 20] [--range ...] [--json]
+  ga4 events [<name> [--param customEvent:<param>]] [--limit 50] [--range ...] [--json]
+  ga4 watch [--metric activeUsers|screenPageViews|eventCount] [--above <n>] [--below <n>] [--interval 60] [--debounce 2] [--path /x] [--once] [--exec <cmd>] [--webhook <url>]
+  ga4 funnel --step /pricing --step /signup --step event:sign_up [--open] [--by device] [--range ...] [--json]
+  ga4 trend [--metrics sessions,screenPageViews] [--granularity day|week|month] [--path /x] [--range ...] [--json]
+  ga4 save <name> -- <command> [args...]
+  ga4 saved list|run <name> [--option value]|delete <name>
+  ga4 run <reports.json|reports.yaml>
+  ga4 cache stats|clear [--expired]
+  ga4 accounts [--json]
+  ga4 properties [--account <id>] [--json]
+  ga4 metadata [--search <term>] [--custom-only] [--json]
+  ga4 completion bash|zsh|fish
+  ga4 query --metrics <m1,m2> [--dimensions <d1,d2>] [--filter "country==Canada;sessions>10"] [--order-by -sessions] [--check] [--limit 100 | --all [--page-size 10000]] [--range ...] [--json]
+
+  Ranges: today, yesterday, last7, last14, last30, last90, lastN, wtd, mtd, qtd, ytd, last-week, last-month, last-quarter, all, custom.
+  Dates: YYYY-MM-DD, today, yesterday or NdaysAgo, resolved in the property's time zone (or the profile's "timeZone").
+  All commands accept --profile <name> to use a profile other than the active one.
+  Auth: service-account key (init), OAuth user (auth login) or Application Default Credentials (auth adc); --impersonate <sa-email> acts as that service account ("none" removes it).
+  --retries <n> sets how often transient API failures (429, 5xx, network errors) are retried (default 3).
+  --show-quota prints the property's remaining hourly/daily tokens on stderr after the command.
+  Reports are cached in ${CACHE_DIR}; --no-cache bypasses the cache, --refresh re-fetches and updates it.
+  Output: --format table|json|ndjson|csv|tsv|markdown (--json is short for --format json), --output <file> to write to a file.
+  --all fetches every row page by page with progress on stderr; ndjson/csv/tsv rows are streamed as they arrive.
+
+  - Errors are logged to ${ERROR_LOG_FILE}`);
+}
+
+// Flags in COMPLETION_GLOBAL_FLAGS apply to every command.
+const COMPLETION_GLOBAL_FLAGS = [
+  '--profile',
+  '--property',
+  '--range',
+  '--start-date',
+  '--end-date',
+  '--format',
+  '--json',
+  '--output',
+  '--no-cache',
+  '--refresh',
+  '--retries',
+  '--show-quota',
+  '--help',
+];
+
+// Flags `init` and `auth` save into the profile, less the global ones.
+const COMPLETION_PROFILE_FLAGS = ['--impersonate', ...PROFILE_DEFAULT_OPTIONS.map((key) => `--${key}`)].filter(
+  (flag) => !COMPLETION_GLOBAL_FLAGS.includes(flag),
+);
+
+const COMPLETION_COMMANDS = {
+  tui: { description: 'Interactive terminal UI', flags: [] },
+  realtime: { description: 'Realtime users, views and events', flags: ['--by', '--minutes', '--path', '--title', '--limit'] },
+  report: { description: 'Summary metrics for a date range', flags: ['--compare'] },
+  pages: { description: 'Top pages/screens', flags: ['--limit', '--all', '--page-size', '--compare'] },
+  path: { description: 'Metrics for one or more paths', flags: ['--match', '--paths-file', '--group', '--limit', '--compare'] },
+  sources: { description: 'Traffic sources', flags: ['--by', '--channel', '--path', '--limit'] },
+  audience: { description: 'Geography, device and technology', flags: ['--by', '--path', '--limit'] },
+  events: { description: 'Events and their pages/parameters', flags: ['--param', '--limit'] },
+  watch: {
+    description: 'Alert on realtime thresholds',
+    flags: ['--metric', '--above', '--below', '--interval', '--debounce', '--path', '--title', '--minutes', '--once', '--exec', '--webhook'],
+  },
+  funnel: { description: 'Funnel drop-off between steps', flags: ['--step', '--open', '--by'] },
+  trend: { description: 'Metrics over time', flags: ['--metrics', '--granularity', '--path'] },
+  query: {
+    description: 'Ad-hoc report',
+    flags: ['--metrics', '--dimensions', '--filter', '--order-by', '--check', '--limit', '--all', '--page-size'],
+  },
+  metadata: { description: 'Dimension and metric catalog', flags: ['--search', '--custom-only'] },
+  accounts: { description: 'Accounts visible to the credentials', flags: [] },
+  properties: { description: 'Properties visible to the credentials', flags: ['--account'] },
+  run: { description: 'Run reports from a JSON/YAML file', flags: [] },
+  save: { description: 'Save a command under a name', flags: [] },
+  saved: { description: 'List, run or delete saved queries', flags: [] },
+  cache: { description: 'Report cache stats or clear it', flags: ['--expired'] },
+  profiles: { description: 'List, switch or remove profiles', flags: [] },
+  init: { description: 'Create or update a profile', flags: COMPLETION_PROFILE_FLAGS },
+  auth: {
+    description: 'Sign in, use ADC or show the active identity',
+    flags: ['--client-secret-file', '--client-id', '--client-secret', '--no-browser', ...COMPLETION_PROFILE_FLAGS],
+  },
+  completion: { description: 'Print a shell completion script', flags: [] },
+  help: { description: 'Show usage', flags: [] },
+};
+
+const COMPLETION_BOOLEAN_FLAGS = ['--json', '--no-cache', '--refresh', '--show-quota', '--help', '--all', '--open', '--once', '--custom-only', '--expired', '--no-browser', '--check'];
+const COMPLETION_FILE_FLAGS = ['--output', '--paths-file', '--client-secret-file'];
+
+// `dynamic` names the `ga4 __complete` kind for the positional after a subcommand.
+const COMPLETION_SUBCOMMANDS = {
+  profiles: { values: ['list', 'use', 'remove'], dynamic: { use: 'profiles', remove: 'profiles' } },
+  saved: { values: ['list', 'run', 'delete'], dynamic: { run: 'saved', delete: 'saved' } },
+  cache: { values: ['stats', 'clear'] },
+  auth: { values: ['login', 'adc', 'status'] },
+  completion: { values: ['bash', 'zsh', 'fish'] },
+};
+
+const COMPLETION_DYNAMIC_FLAGS = { '--profile': 'profiles', '--property': 'properties', '--group': 'groups' };
+
+function getCompletionFlagValues() {
+  return {
+    '--range': [...DATE_RANGE_OPTIONS.map((o) => o.value), 'custom'],
+    '--format': OUTPUT_FORMATS,
+    '--compare': COMPARE_MODES,
+    '--match': Object.keys(PATH_MATCH_TYPES),
+    '--granularity': Object.keys(TREND_GRANULARITIES),
+    '--metric': WATCH_METRICS,
+    '--minutes': ['5', '30'],
+  };
+}
+
+function getCompletionByValues() {
+  return {
+    sources: Object.keys(SOURCE_GROUPINGS),
+    audience: Object.keys(AUDIENCE_GROUPINGS),
+    realtime: [...REALTIME_DIMENSIONS, 'minutesAgo'],
+    funnel: Object.keys(FUNNEL_BREAKDOWNS),
+  };
+}
+
+// Completion must never fail loudly, so unreadable files just produce no candidates.
+function getCompletionCandidates(kind) {
+  const config = (() => {
+    try {
+      return readConfigFile() || { profiles: {} };
+    } catch {
+      return { profiles: {} };
+    }
+  })();
+
+  switch (kind) {
+    case 'profiles':
+      return Object.entries(config.profiles).map(([name, profile]) => [
+        name,
+        [getProfileIdentity(profile), profile.propertyId && `property ${profile.propertyId}`].filter(Boolean).join(', '),
+      ]);
+    case 'properties': {
+      const known = new Map();
+      Object.entries(config.profiles).forEach(([name, profile]) => {
+        if (profile.propertyId) known.set(String(profile.propertyId), `profile ${name}`);
+      });
+      readKnownProperties().forEach((p) => known.set(p.propertyId, `${p.displayName} (${p.account})`));
+      return [...known.entries()];
+    }
+    case 'saved':
+      return Object.entries(readFavorites().saved).map(([name, entry]) => [name, `ga4 ${formatSavedArgs(entry.args)}`]);
+    case 'groups': {
+      const profile = config.profiles[config.activeProfile || DEFAULT_PROFILE] || {};
+      return Object.keys(profile.pathGroups || {}).map((name) => [name, 'path group']);
+    }
+    default:
+      return [];
   }
+}
 
-  async showPathInput() {
-    const blessed = this.blessed;
-    this.clearContent();
-
-    const form = blessed.form({
-      parent: this.contentBox,
-      top: 'center',
-      left: 'center',
-      width: '70%',
-      height: 12,
-      border: { type: 'line' },
-      label: ' Path Report ',
-      keys: true,
-    });
+function printCompletionCandidates(kind) {
+  getCompletionCandidates(kind).forEach(([value, description]) =>
+    console.log(description ? `${value}\t${String(description).replace(/[\t\n]/g, ' ')}` : value),
+  );
+}
 
-    blessed.text({
-      parent: form,
-      top: 1,
-      left: 2,
-      content: 'Enter path (e.g. /about or /blog/post):',
-    });
+function buildBashCompletion() {
+  const flagValues = getCompletionFlagValues();
+  const byValues = getCompletionByValues();
+  const commandFlags = Object.entries(COMPLETION_COMMANDS)
+    .map(([name, { flags }]) => `    ${name}) flags="$flags ${flags.join(' ')}" ;;`)
+    .join('\n');
+  const subcommands = Object.entries(COMPLETION_SUBCOMMANDS)
+    .map(([name, { values, dynamic = {} }]) => {
+      const dynamicCases = Object.entries(dynamic)
+        .map(([sub, kind]) => `        ${sub}) _ga4_dynamic ${kind}; return ;;`)
+        .join('\n');
+      return [
+        `    ${name})`,
+        `      if [[ $COMP_CWORD -eq 2 ]]; then COMPREPLY=($(compgen -W "${values.join(' ')}" -- "$cur")); return; fi`,
+        ...(dynamicCases ? ['      if [[ $COMP_CWORD -eq 3 ]]; then', `        case "\${COMP_WORDS[2]}" in`, dynamicCases, '        esac', '      fi'] : []),
+        '      ;;',
+      ].join('\n');
+    })
+    .join('\n');
 
-    const input = blessed.textbox({
-      parent: form,
-      top: 3,
-      left: 2,
-      width: '95%-4',
-      height: 3,
-      border: { type: 'line' },
-      inputOnFocus: true,
-      name: 'path',
-    });
+  return `# ga4 bash completion
+# Load in the current shell:  source <(ga4 completion bash)
+# Or install:                 ga4 completion bash > ~/.local/share/bash-completion/completions/ga4
 
-    const errorText = blessed.text({
-      parent: form,
-      top: 7,
-      left: 2,
-      content: '',
-      style: { fg: 'red' },
-    });
+_ga4_dynamic() {
+  local IFS=$'\\n'
+  COMPREPLY=($(compgen -W "$(ga4 __complete "$1" 2>/dev/null | cut -f1)" -- "$cur"))
+}
 
-    blessed.text({
-      parent: form,
-      top: 9,
-      left: 2,
-      content: 'Press Enter to continue  |  Esc/B to go back',
-      style: { fg: 'gray' },
-    });
+_ga4() {
+  local cur prev cmd flags
+  cur="\${COMP_WORDS[COMP_CWORD]}"
+  prev="\${COMP_WORDS[COMP_CWORD-1]}"
+  cmd="\${COMP_WORDS[1]}"
 
-    input.focus();
-    input.key(['escape', 'b'], () => this.showMenu());
+  case "$prev" in
+${Object.entries(flagValues)
+  .map(([flag, values]) => `    ${flag}) COMPREPLY=($(compgen -W "${values.join(' ')}" -- "$cur")); return ;;`)
+  .join('\n')}
+${Object.entries(COMPLETION_DYNAMIC_FLAGS)
+  .map(([flag, kind]) => `    ${flag}) _ga4_dynamic ${kind}; return ;;`)
+  .join('\n')}
+    ${COMPLETION_FILE_FLAGS.join('|')}) COMPREPLY=($(compgen -f -- "$cur")); return ;;
+    --by)
+      case "$cmd" in
+${Object.entries(byValues)
+  .map(([command, values]) => `        ${command}) COMPREPLY=($(compgen -W "${values.join(' ')}" -- "$cur")) ;;`)
+  .join('\n')}
+      esac
+      return
+      ;;
+  esac
 
-    form.on('submit', (data) => {
-      const pathInput = String(data.path || '').trim();
-      if (!pathInput) {
-        errorText.setContent('Path is required.');
-        this.screen.render();
-        return;
-      }
-      this.showDateRangeSelector(
-        'Choose Date Range For Path Report',
-        ({ startDate, endDate, rangeLabel }) => this.showPathReport(pathInput, startDate, endDate, rangeLabel),
-        () => this.showPathInput(),
-      );
-    });
+  if [[ $COMP_CWORD -eq 1 ]]; then
+    COMPREPLY=($(compgen -W "${Object.keys(COMPLETION_COMMANDS).join(' ')}" -- "$cur"))
+    return
+  fi
 
-    input.key('enter', () => form.submit());
-    this.screen.render();
-  }
+  if [[ "$cur" == -* ]]; then
+    flags="${COMPLETION_GLOBAL_FLAGS.join(' ')}"
+    case "$cmd" in
+${commandFlags}
+    esac
+    COMPREPLY=($(compgen -W "$flags" -- "$cur"))
+    return
+  fi
 
-  async showPathReport(pathInput, startDate, endDate, rangeLabel) {
-    const blessed = this.blessed;
-    this.clearContent();
-    const viewId = this.activeViewId;
+  case "$cmd" in
+${subcommands}
+  esac
+}
 
-    const box = blessed.box({
-      parent: this.contentBox,
-      top: 0,
-      left: 0,
-      width: '100%',
-      height: '100%',
-      border: { type: 'line' },
-      style: { border: { fg: 'cyan' } },
-      tags: true,
-      content: '{cyan-fg}Loading path report...{/}',
-      scrollable: true,
-      keys: true,
-    });
+complete -o default -F _ga4 ga4
+`;
+}
 
-    const goBack = () =>
-      this.showDateRangeSelector(
-        'Choose Date Range For Path Report',
-        ({ startDate: nextStart, endDate: nextEnd, rangeLabel: nextLabel }) =>
-          this.showPathReport(pathInput, nextStart, nextEnd, nextLabel),
-        () => this.showPathInput(),
-      );
-    box.key(['escape', 'b'], goBack);
-    box.key(['r'], () => this.showPathReport(pathInput, startDate, endDate, rangeLabel));
+function buildZshCompletion() {
+  const quote = (text) => `'${String(text).replace(/'/g, `'\\''`)}'`;
+  const flagValues = getCompletionFlagValues();
+  const byValues = getCompletionByValues();
 
-    try {
-      const report = await this.service.getPathReport(pathInput, startDate, endDate);
-      if (viewId !== this.activeViewId) return;
+  return `#compdef ga4
+# ga4 zsh completion
+# Load in the current shell:  source <(ga4 completion zsh)
+# Or install:                 ga4 completion zsh > "\${fpath[1]}/_ga4"
 
-      const lines = [
-        `{cyan-fg}Path Report{/}  |  {green-fg}${report.path}{/}`,
-        `Includes variants: {yellow-fg}${report.pathVariants.join(', ')}{/}`,
-        `Range: ${startDate} to ${endDate} (${rangeLabel})  |  Property: ${this.service.propertyId}`,
-        '',
-        '{cyan-fg}Metrics{/}',
-        `  Sessions:         {green-fg}${report.sessions}{/}`,
-        `  Total Users:      {green-fg}${report.totalUsers}{/}`,
-        `  New Users:        {green-fg}${report.newUsers}{/}`,
-        `  Pageviews:        {green-fg}${report.pageviews}{/}`,
-        `  Events:           {green-fg}${report.eventCount}{/}`,
-        `  Avg Session:      {green-fg}${report.averageSessionDuration}s{/}`,
-        `  Bounce Rate:      {green-fg}${report.bounceRate}%{/}`,
-        `  Engagement Rate:  {green-fg}${report.engagementRate}%{/}`,
-      ];
+_ga4_dynamic() {
+  local -a candidates
+  candidates=("\${(@f)$(ga4 __complete "$1" 2>/dev/null | sed -e 's/:/\\\\:/g' -e 's/\t/:/')}")
+  _describe -t "$1" "$1" candidates
+}
 
-      if (report.byPath?.length > 1) {
-        lines.push('', '{cyan-fg}By path variant:{/}');
-        report.byPath.forEach((p) => {
-          lines.push(`  {yellow-fg}${p.pagePath}{/}: ${p.pageviews} views, ${p.sessions} sessions`);
-        });
-      }
+_ga4() {
+  local cmd=\${words[2]} prev=\${words[CURRENT-1]} cur=\${words[CURRENT]}
+  local -a values flags
 
-      lines.push('', '{gray-fg}Press Esc/B to change range, R to refresh{/}');
-      box.setContent(lines.join('\n'));
-      box.setScrollPerc(0);
-    } catch (error) {
-      if (viewId !== this.activeViewId) return;
-      logError(error, 'tui:showPathReport');
-      box.setContent(`{red-fg}Error:{/} ${error.message}\n\n{gray-fg}Press Esc/B to go back{/}`);
-    }
+  case $prev in
+${Object.entries(flagValues)
+  .map(([flag, values]) => `    ${flag}) values=(${values.join(' ')}); compadd -a values; return ;;`)
+  .join('\n')}
+${Object.entries(COMPLETION_DYNAMIC_FLAGS)
+  .map(([flag, kind]) => `    ${flag}) _ga4_dynamic ${kind}; return ;;`)
+  .join('\n')}
+    ${COMPLETION_FILE_FLAGS.join('|')}) _files; return ;;
+    --by)
+      case $cmd in
+${Object.entries(byValues)
+  .map(([command, values]) => `        ${command}) values=(${values.join(' ')}) ;;`)
+  .join('\n')}
+      esac
+      compadd -a values
+      return
+      ;;
+  esac
 
-    this.screen.render();
-  }
+  if (( CURRENT == 2 )); then
+    values=(
+${Object.entries(COMPLETION_COMMANDS)
+  .map(([name, { description }]) => `      ${quote(`${name}:${description}`)}`)
+  .join('\n')}
+    )
+    _describe -t commands 'ga4 command' values
+    return
+  fi
 
-  showTopPagesDateRange() {
-    this.showDateRangeSelector(
-      'Choose Date Range For Top Pages/Screens',
-      ({ startDate, endDate, rangeLabel }) => this.showTopPagesReport(startDate, endDate, rangeLabel),
-      () => this.showMenu(),
-    );
-  }
+  if [[ $cur == -* ]]; then
+    flags=(${COMPLETION_GLOBAL_FLAGS.join(' ')})
+    case $cmd in
+${Object.entries(COMPLETION_COMMANDS)
+  .filter(([, { flags }]) => flags.length)
+  .map(([name, { flags }]) => `      ${name}) flags+=(${flags.join(' ')}) ;;`)
+  .join('\n')}
+    esac
+    compadd -a flags
+    return
+  fi
 
-  async showTopPagesReport(startDate, endDate, rangeLabel, limit = 20) {
-    const blessed = this.blessed;
-    this.clearContent();
-    const viewId = this.activeViewId;
+  case $cmd in
+${Object.entries(COMPLETION_SUBCOMMANDS)
+  .map(([name, { values, dynamic = {} }]) =>
+    [
+      `    ${name})`,
+      `      if (( CURRENT == 3 )); then values=(${values.join(' ')}); compadd -a values; return; fi`,
+      ...Object.entries(dynamic).map(
+        ([sub, kind]) => `      if (( CURRENT == 4 )) && [[ \${words[3]} == ${sub} ]]; then _ga4_dynamic ${kind}; return; fi`,
+      ),
+      '      ;;',
+    ].join('\n'),
+  )
+  .join('\n')}
+  esac
 
-    const box = blessed.box({
-      parent: this.contentBox,
-      top: 0,
-      left: 0,
-      width: '100%',
-      height: '100%',
-      border: { type: 'line' },
-      style: { border: { fg: 'green' } },
-      tags: true,
-      scrollable: true,
-      alwaysScroll: true,
-      keys: true,
-      vi: true,
-      content: '{green-fg}Loading top pages/screens...{/}',
-    });
+  _files
+}
 
-    box.key(['escape', 'b'], () => this.showTopPagesDateRange());
-    box.key(['r'], () => this.showTopPagesReport(startDate, endDate, rangeLabel, limit));
+if [[ "\${funcstack[1]}" == "_ga4" ]]; then
+  _ga4 "$@"
+else
+  compdef _ga4 ga4
+fi
+`;
+}
 
-    try {
-      const pages = await this.service.getTopPagesReport(startDate, endDate, limit);
-      if (viewId !== this.activeViewId) return;
-      const pathWidth = 34;
-      const titleWidth = 30;
-      const truncate = (value, width) => {
-        const text = String(value || '');
-        return text.length > width ? `${text.slice(0, width - 3)}...` : text;
-      };
-      const lines = [
-        `{green-fg}Top Pages/Screens{/}  |  Property: {cyan-fg}${this.service.propertyId}{/}`,
-        `Range: ${startDate} to ${endDate} (${rangeLabel})  |  Rows: ${pages.length}`,
-        '',
-        `${'#'.padEnd(3)} ${'Path'.padEnd(pathWidth)} ${'Title'.padEnd(titleWidth)} ${'Views'.padStart(8)} ${'Sessions'.padStart(10)} ${'Bounce'.padStart(8)} ${'Engage'.padStart(8)}`,
-        '-'.repeat(3 + pathWidth + titleWidth + 42),
-      ];
+function buildFishCompletion() {
+  const quote = (text) => `'${String(text).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  const flagValues = getCompletionFlagValues();
+  const byValues = getCompletionByValues();
+  const long = (flag) => flag.replace(/^--/, '');
+  const flagLine = (flag, condition) => {
+    const parts = ['complete -c ga4'];
+    if (condition) parts.push(`-n ${quote(condition)}`);
+    parts.push(`-l ${long(flag)}`);
+    if (COMPLETION_FILE_FLAGS.includes(flag)) parts.push('-r -F');
+    else if (COMPLETION_DYNAMIC_FLAGS[flag]) parts.push(`-x -a ${quote(`(ga4 __complete ${COMPLETION_DYNAMIC_FLAGS[flag]} 2>/dev/null)`)}`);
+    else if (flagValues[flag]) parts.push(`-x -a ${quote(flagValues[flag].join(' '))}`);
+    else if (!COMPLETION_BOOLEAN_FLAGS.includes(flag)) parts.push('-x');
+    return parts.join(' ');
+  };
 
-      if (pages.length === 0) {
-        lines.push('{yellow-fg}No rows returned for this date range.{/}');
-      } else {
-        pages.forEach((row, idx) => {
-          lines.push(
-            `${String(idx + 1).padEnd(3)} ${truncate(row.path, pathWidth).padEnd(pathWidth)} ${truncate(row.pageTitle, titleWidth).padEnd(titleWidth)} ${row.views.padStart(8)} ${row.sessions.padStart(10)} ${`${row.bounceRate}%`.padStart(8)} ${row.engagementTime.padStart(8)}`,
-          );
-        });
-      }
+  const lines = [
+    '# ga4 fish completion',
+    '# Load in the current shell:  ga4 completion fish | source',
+    '# Or install:                 ga4 completion fish > ~/.config/fish/completions/ga4.fish',
+    '',
+    'complete -c ga4 -f',
+    ...Object.entries(COMPLETION_COMMANDS).map(
+      ([name, { description }]) => `complete -c ga4 -n __fish_use_subcommand -a ${name} -d ${quote(description)}`,
+    ),
+    '',
+    ...COMPLETION_GLOBAL_FLAGS.map((flag) => flagLine(flag)),
+    '',
+  ];
 
-      lines.push('', '{gray-fg}Press Esc/B to change range, R to refresh{/}');
-      box.setContent(lines.join('\n'));
-      box.setScrollPerc(0);
-    } catch (error) {
-      if (viewId !== this.activeViewId) return;
-      logError(error, 'tui:showTopPagesReport');
-      box.setContent(`{red-fg}Error:{/} ${error.message}\n\n{gray-fg}Press Esc/B to go back{/}`);
+  Object.entries(COMPLETION_COMMANDS).forEach(([name, { flags }]) => {
+    const condition = `__fish_seen_subcommand_from ${name}`;
+    flags
+      .filter((flag) => flag !== '--by')
+      .forEach((flag) => lines.push(flagLine(flag, condition)));
+    if (byValues[name]) {
+      lines.push(`complete -c ga4 -n ${quote(condition)} -l by -x -a ${quote(byValues[name].join(' '))}`);
     }
+  });
+  lines.push('');
 
-    this.screen.render();
+  Object.entries(COMPLETION_SUBCOMMANDS).forEach(([name, { values, dynamic = {} }]) => {
+    lines.push(
+      `complete -c ga4 -n ${quote(`__fish_seen_subcommand_from ${name}; and not __fish_seen_subcommand_from ${values.join(' ')}`)} -a ${quote(values.join(' '))}`,
+    );
+    Object.entries(dynamic).forEach(([sub, kind]) => {
+      lines.push(
+        `complete -c ga4 -n ${quote(`__fish_seen_subcommand_from ${name}; and __fish_seen_subcommand_from ${sub}`)} -a ${quote(`(ga4 __complete ${kind} 2>/dev/null)`)}`,
+      );
+    });
+  });
+  lines.push(
+    `complete -c ga4 -n ${quote('__fish_seen_subcommand_from run init')} -F`,
+  );
+
+  return `${lines.join('\n')}\n`;
+}
+
+const COMPLETION_SHELLS = { bash: buildBashCompletion, zsh: buildZshCompletion, fish: buildFishCompletion };
+
+function printCompletionScript(shell) {
+  if (!COMPLETION_SHELLS[shell]) {
+    throw new Error(`Usage: ga4 completion ${Object.keys(COMPLETION_SHELLS).join('|')}`);
   }
+  process.stdout.write(COMPLETION_SHELLS[shell]());
+}
 
-  async showRealtime() {
-    const blessed = this.blessed;
-    this.clearContent();
-    const viewId = this.activeViewId;
+function printQuota(service) {
+  const { core, realtime, funnel } = service.quota;
+  if (!core && !realtime && !funnel) {
+    console.error('Quota: no API calls were made (results came from the cache)');
+    return;
+  }
+  if (core) console.error(`Quota (core): ${formatQuota(core)}`);
+  if (realtime) console.error(`Quota (realtime): ${formatQuota(realtime)}`);
+  if (funnel) console.error(`Quota (funnel): ${formatQuota(funnel)}`);
+}
 
-    const summaryBox = blessed.box({
-      parent: this.contentBox,
-      top: 0,
-      left: 0,
-      width: '100%',
-      height: 6,
-      border: { type: 'line' },
-      style: { border: { fg: 'cyan' } },
-      tags: true,
-      content: 'Loading...',
-    });
+function readPathsFile(file) {
+  if (!file || file === true) return [];
+  return fs
+    .readFileSync(file, 'utf-8')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'));
+}
 
-    const pagesBox = blessed.box({
-      parent: this.contentBox,
-      top: 6,
-      left: 0,
-      width: '100%',
-      height: '100%-6',
-      border: { type: 'line' },
-      style: { border: { fg: 'green' } },
-      tags: true,
-      scrollable: true,
-      alwaysScroll: true,
-      keys: true,
-      content: 'Loading top pages...',
-    });
-    pagesBox.key(['escape', 'b'], () => this.showMenu());
-    pagesBox.key(['r'], () => refresh());
-    pagesBox.focus();
+function resolvePathGroup(config, name) {
+  const definition = config.pathGroups?.[name];
+  if (!definition) {
+    throw new Error(`Path group "${name}" not found. Define it under profiles.${config.profile}.pathGroups in ${CONFIG_FILE}`);
+  }
+  if (typeof definition === 'string') return { match: 'regex', paths: [definition] };
+  if (Array.isArray(definition)) return { match: 'exact', paths: definition.map(String) };
+  return { match: definition.match || 'exact', paths: [].concat(definition.paths || []).map(String) };
+}
 
-    let countdown = 5;
-    let lastSummary = null;
+async function resolveRealtimeScope(service, options = {}) {
+  let minutes;
+  if (options.minutes !== undefined) {
+    minutes = parseInt(options.minutes, 10);
+    if (isNaN(minutes) || minutes < 1 || minutes > MAX_REALTIME_MINUTES) {
+      throw new Error(`--minutes must be between 1 and ${MAX_REALTIME_MINUTES}`);
+    }
+  }
 
-    const formatSummaryLine = (s, secs) => {
-      if (!s) return '';
-      const cd = secs !== undefined ? `  |  {yellow-fg}Refreshing in {bold}${secs}{/bold}s{/}` : '';
-      return `{cyan-fg}Realtime{/} (property {green-fg}${this.service.propertyId}{/})  |  {cyan-fg}Active Users:{/} {green-fg}${s.activeUsers}{/}  |  {cyan-fg}Views:{/} {green-fg}${s.screenPageViews}{/}  |  {cyan-fg}Events:{/} {green-fg}${s.eventCount}{/}${cd}\n{gray-fg}Esc/B: menu  |  R: refresh now  |  q: quit{/}`;
-    };
+  let screenNames;
+  if (options.title) {
+    screenNames = [String(options.title)];
+  } else if (options.path) {
+    screenNames = await service.getPageTitlesForPath(String(options.path));
+    if (screenNames.length === 0) {
+      throw new Error(
+        `No page titles found for ${options.path} in the last 7 days. For a page published in the last few hours, pass --title "<page title>"`,
+      );
+    }
+  }
 
-    const refresh = async () => {
-      try {
-        const [summary, topPages] = await Promise.all([
-          this.service.getRealtimeSummary(),
-          this.service.getRealtimeTopPages(20),
-        ]);
-        if (viewId !== this.activeViewId) return;
-        lastSummary = summary;
-        countdown = 5;
+  return { minutes, screenNames };
+}
 
-        summaryBox.setContent(formatSummaryLine(summary));
-        const maxLen = 60;
-        const truncate = (s) => (s.length > maxLen ? s.slice(0, maxLen - 3) + '...' : s);
-        const header = '\n{cyan-fg} #  Page{/}'.padEnd(maxLen + 22) + '{cyan-fg}Views{/}\n' + '─'.repeat(maxLen + 12);
-        const rows = topPages.map(
-          (p, i) => ` {green-fg}${String(i + 1).padStart(2)}{/}  ${truncate(p.page).padEnd(maxLen)}  {yellow-fg}${p.views}{/}`,
-        );
-        pagesBox.setContent(header + '\n' + rows.join('\n'));
-        pagesBox.setScrollPerc(0);
-      } catch (error) {
-        if (viewId !== this.activeViewId) return;
-        logError(error, 'tui:showRealtime');
-        summaryBox.setContent(`{red-fg}Error:{/} ${error.message}`);
-        pagesBox.setContent(`Logged to ${ERROR_LOG_FILE}`);
-      }
-      this.screen.render();
+const WATCH_METRICS = ['activeUsers', 'screenPageViews', 'eventCount'];
+const WATCH_ALERT_EXIT_CODE = 2;
+
+function parseThreshold(options, key) {
+  if (options[key] === undefined) return null;
+  const value = Number(options[key]);
+  if (options[key] === true || isNaN(value)) throw new Error(`--${key} must be a number`);
+  return value;
+}
+
+function runWatchHooks(payload, options) {
+  const tasks = [];
+  if (options.exec && options.exec !== true) {
+    const { exec } = require('child_process');
+    const env = {
+      ...process.env,
+      GA4_WATCH_STATE: payload.state,
+      GA4_WATCH_METRIC: payload.metric,
+      GA4_WATCH_VALUE: String(payload.value),
+      GA4_WATCH_RULE: payload.rule,
+      GA4_WATCH_THRESHOLD: String(payload.threshold),
+      GA4_WATCH_PROPERTY: payload.property,
+      GA4_WATCH_PATH: payload.path || '',
+      GA4_WATCH_PAYLOAD: JSON.stringify(payload),
     };
+    tasks.push(
+      new Promise((resolve) => {
+        exec(String(options.exec), { env, timeout: 30000 }, (error, stdout, stderr) => {
+          if (stdout) process.stderr.write(stdout);
+          if (stderr) process.stderr.write(stderr);
+          if (error) {
+            logError(error, 'watch:exec');
+            console.error(`Hook command failed: ${error.message}`);
+          }
+          resolve();
+        });
+      }),
+    );
+  }
+  if (options.webhook && options.webhook !== true) {
+    tasks.push(
+      fetch(String(options.webhook), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(10000),
+      })
+        .then((res) => {
+          if (!res.ok) throw new Error(`Webhook responded with HTTP ${res.status}`);
+        })
+        .catch((error) => {
+          logError(error, 'watch:webhook');
+          console.error(`Webhook failed: ${error.message}`);
+        }),
+    );
+  }
+  return Promise.all(tasks);
+}
 
-    const tick = () => {
-      if (viewId !== this.activeViewId) return;
-      if (countdown > 0) {
-        if (lastSummary) {
-          summaryBox.setContent(formatSummaryLine(lastSummary, countdown));
-        }
-        countdown--;
-        this.screen.render();
-      } else {
-        refresh();
-      }
+// A change of state only counts after --debounce consecutive checks agree.
+async function runWatchCommand(service, options) {
+  const metric = String(options.metric || 'activeUsers');
+  if (!WATCH_METRICS.includes(metric)) {
+    throw new Error(`--metric must be one of: ${WATCH_METRICS.join(', ')}`);
+  }
+  const above = parseThreshold(options, 'above');
+  const below = parseThreshold(options, 'below');
+  if (above === null && below === null) {
+    throw new Error('Usage: ga4 watch --metric activeUsers --above <n> | --below <n> [--interval 60] [--path /x] [--once]');
+  }
+  const interval = options.interval ? parseInt(options.interval, 10) : 60;
+  if (isNaN(interval) || interval < 5) {
+    throw new Error('--interval must be at least 5 seconds');
+  }
+  const debounce = options.once ? 1 : options.debounce ? parseInt(options.debounce, 10) : 2;
+  if (isNaN(debounce) || debounce < 1) {
+    throw new Error('--debounce must be a positive integer');
+  }
+
+  service.requirePropertyId();
+  const scope = await resolveRealtimeScope(service, options);
+  const target = options.path ? ` on ${options.path}` : options.title ? ` on "${options.title}"` : '';
+  const evaluate = (value) => {
+    if (above !== null && value > above) return 'above';
+    if (below !== null && value < below) return 'below';
+    return null;
+  };
+
+  let activeRule = null;
+  let candidate = null;
+  let streak = 0;
+
+  const check = async () => {
+    const summary = await service.getRealtimeSummary(scope);
+    const value = Number(summary[metric]);
+    const rule = evaluate(value);
+    const timestamp = new Date().toISOString();
+    console.error(`[${timestamp}] ${metric}${target} = ${value}${rule ? ` (${rule} ${rule === 'above' ? above : below})` : ''}`);
+
+    if (rule === activeRule) {
+      candidate = null;
+      streak = 0;
+      return rule;
+    }
+    streak = rule === candidate ? streak + 1 : 1;
+    candidate = rule;
+    if (streak < debounce) return activeRule;
+
+    const state = rule ? 'alert' : 'recovered';
+    const firedRule = rule || activeRule;
+    activeRule = rule;
+    candidate = null;
+    streak = 0;
+
+    const payload = {
+      state,
+      metric,
+      value,
+      rule: firedRule,
+      threshold: firedRule === 'above' ? above : below,
+      property: service.propertyId,
+      path: options.path || null,
+      minutes: scope.minutes || MAX_REALTIME_MINUTES,
+      timestamp,
     };
+    console.log(
+      state === 'alert'
+        ? `[${timestamp}] ALERT ${metric}${target} is ${value}, ${firedRule} ${payload.threshold}`
+        : `[${timestamp}] RECOVERED ${metric}${target} is ${value}, no longer ${firedRule} ${payload.threshold}`,
+    );
+    await runWatchHooks(payload, options);
+    return rule;
+  };
 
-    await refresh();
-    this.realtimeInterval = setInterval(tick, 1000);
-    this.screen.render();
+  if (options.once) {
+    const rule = await check();
+    if (rule) process.exit(WATCH_ALERT_EXIT_CODE);
+    return;
   }
 
-  async start() {
-    await this.showMenu();
+  console.error(`Watching ${metric}${target} every ${interval}s (Ctrl+C to stop)`);
+  for (;;) {
+    try {
+      await check();
+    } catch (error) {
+      logError(error, 'watch:check');
+      console.error(`[${new Date().toISOString()}] Check failed: ${error.message}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, interval * 1000));
   }
 }
 
-function formatDate(date) {
-  return date.toISOString().split('T')[0];
-}
-
-function getDateRange(range) {
-  const today = new Date();
-  const start = new Date(today);
-  const end = new Date(today);
+// A nested list means any one of the fields.
+const BATCH_REPORT_TYPES = {
+  realtime: [],
+  report: [],
+  pages: [],
+  path: [['path', 'group', 'paths-file']],
+  sources: [],
+  audience: [],
+  events: [],
+  funnel: ['step'],
+  trend: [],
+  query: ['metrics'],
+};
 
-  switch (range) {
-    case 'today':
-      break;
-    case 'yesterday':
-      start.setDate(start.getDate() - 1);
-      end.setDate(end.getDate() - 1);
-      break;
-    case 'last30':
-      start.setDate(start.getDate() - 30);
-      break;
-    case 'last90':
-      start.setDate(start.getDate() - 90);
-      break;
-    case 'all':
-    case 'alltime':
-      start.setFullYear(start.getFullYear() - 5);
-      break;
-    case 'last7':
-    default:
-      start.setDate(start.getDate() - 7);
-      break;
+function loadReportsFile(file) {
+  const text = fs.readFileSync(file, 'utf-8');
+  const parsed = /\.ya?ml$/i.test(file) ? require('yaml').parse(text) : JSON.parse(text);
+  const reports = Array.isArray(parsed) ? parsed : parsed?.reports;
+  if (!Array.isArray(reports) || reports.length === 0) {
+    throw new Error(`${file} must contain a "reports" list`);
   }
-
-  return { startDate: formatDate(start), endDate: formatDate(end) };
+  return { defaults: Array.isArray(parsed) ? {} : parsed.defaults || {}, reports };
 }
 
-function isIsoDate(value) {
-  return /^\d{4}-\d{2}-\d{2}$/.test(String(value || '').trim());
+function toReportOptions(fields) {
+  return Object.fromEntries(
+    Object.entries(fields)
+      .filter(([key]) => !['name', 'type', 'event'].includes(key))
+      .map(([key, value]) => [
+        key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`),
+        MULTI_VALUE_OPTIONS.has(key) ? [].concat(value).map(String) : typeof value === 'number' ? String(value) : value,
+      ]),
+  );
 }
 
-function resolveDateRange(options = {}) {
-  const range = options.range;
-  const startDate = options['start-date'];
-  const endDate = options['end-date'];
-  const hasCustomRange = Boolean(startDate || endDate);
+// Time zones are resolved first so the reports' first requests share batchRunReports calls.
+async function runReportsFile(service, file, cliOptions) {
+  if (!file || file === true) {
+    throw new Error('Usage: ga4 run <reports.json|reports.yaml>');
+  }
+  const { defaults, reports } = loadReportsFile(file);
+  const baseDir = path.dirname(path.resolve(file));
+  service.enableBatching();
+  const services = new Map();
+  const getReportService = (propertyId) => {
+    if (!propertyId || propertyId === service.propertyId) return service;
+    if (!services.has(propertyId)) services.set(propertyId, service.forProperty(propertyId));
+    return services.get(propertyId);
+  };
 
-  if (range === 'custom' || hasCustomRange) {
-    if (!startDate || !endDate) {
-      throw new Error('Custom range requires both --start-date and --end-date');
+  const propertyIds = new Set(
+    reports.map((report) => String(report.property ?? defaults.property ?? service.propertyId ?? '')),
+  );
+  await Promise.all(
+    [...propertyIds].filter(Boolean).map((id) => getReportService(id).getTimeZone().catch(() => null)),
+  );
+
+  const runOne = async (report, index) => {
+    const name = String(report.name || `report-${index + 1}`);
+    const started = Date.now();
+    const chunks = [];
+    try {
+      const type = report.type;
+      if (!BATCH_REPORT_TYPES[type]) {
+        throw new Error(`Unknown type "${type}"; use one of: ${Object.keys(BATCH_REPORT_TYPES).join(', ')}`);
+      }
+      const { output, writer, ...inherited } = cliOptions;
+      const options = { ...inherited, ...toReportOptions(defaults), ...toReportOptions(report) };
+      const isEmpty = (key) => options[key] === undefined || options[key].length === 0;
+      const missing = BATCH_REPORT_TYPES[type].filter((keys) => [].concat(keys).every(isEmpty));
+      if (missing.length) {
+        const names = missing.map((keys) => [].concat(keys).map((key) => `"${key}"`).join(' or '));
+        throw new Error(`Missing ${names.join(', ')} for type ${type}`);
+      }
+      if (options.all && !options.output) throw new Error('"all" requires an "output" file');
+      if ('profile' in defaults || 'profile' in report) {
+        throw new Error('"profile" applies to the whole run; pass --profile on the command line');
+      }
+
+      if (options['paths-file'] && options['paths-file'] !== true) {
+        options['paths-file'] = path.resolve(baseDir, String(options['paths-file']));
+      }
+      if (options.output && options.output !== true) {
+        options.output = path.resolve(baseDir, String(options.output));
+        fs.mkdirSync(path.dirname(options.output), { recursive: true });
+      } else {
+        options.writer = (text) => chunks.push(text);
+      }
+      const reportService = getReportService(options.property ? String(options.property) : service.propertyId);
+      await runCliCommand(reportService, type, options, [type, ...(report.event ? [String(report.event)] : [])]);
+      return { name, type, status: 'ok', output: options.output || 'stdout', ms: Date.now() - started, chunks };
+    } catch (error) {
+      logError(error, `run:${name}`);
+      return { name, type: report.type, status: 'failed', error: error.message, ms: Date.now() - started, chunks };
     }
-    if (!isIsoDate(startDate) || !isIsoDate(endDate)) {
-      throw new Error('Dates must use YYYY-MM-DD format');
+  };
+
+  const results = new Array(reports.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < reports.length) {
+      const index = next++;
+      results[index] = await runOne(reports[index], index);
     }
-    return { startDate, endDate };
-  }
+  };
+  await Promise.all(Array.from({ length: Math.min(RUN_CONCURRENCY, reports.length) }, worker));
+
+  results.forEach((result) => {
+    if (result.chunks.length === 0) return;
+    console.log(`## ${result.name}\n`);
+    console.log(`${result.chunks.join('\n')}\n`);
+  });
 
-  return getDateRange(range);
+  const failed = results.filter((result) => result.status === 'failed');
+  console.error(
+    [
+      '',
+      `Ran ${results.length} report(s): ${results.length - failed.length} ok, ${failed.length} failed`,
+      formatTable(
+        [
+          { key: 'name', label: 'Report', width: 30 },
+          { key: 'type', label: 'Type' },
+          { key: 'status', label: 'Status' },
+          { key: 'time', label: 'Time', align: 'right' },
+          { key: 'detail', label: 'Output / error', width: 70 },
+        ],
+        results.map((result) => ({
+          ...result,
+          time: `${(result.ms / 1000).toFixed(1)}s`,
+          detail: result.status === 'ok' ? result.output : result.error,
+        })),
+      ),
+    ].join('\n'),
+  );
+  if (failed.length) {
+    console.error(`Details logged to: ${ERROR_LOG_FILE}`);
+    process.exitCode = 1;
+  }
 }
 
-function parseArgs(argv) {
-  const args = [...argv];
-  const options = {};
-  const positionals = [];
+function resolveCompareOption(options, startDate, endDate) {
+  if (!options.compare) return null;
+  const mode = options.compare === true ? 'previous' : String(options.compare);
+  return { mode, ...getComparisonRange(startDate, endDate, mode) };
+}
 
-  for (let i = 0; i < args.length; i += 1) {
-    const token = args[i];
-    if (token.startsWith('--')) {
-      const key = token.slice(2);
-      const value = args[i + 1] && !args[i + 1].startsWith('--') ? args[++i] : true;
-      options[key] = value;
-    } else {
-      positionals.push(token);
-    }
-  }
+function compareMeta(compare) {
+  return compare ? [['Compared with', `${compare.startDate} to ${compare.endDate} (${compare.mode})`]] : [];
+}
 
-  return { positionals, options };
+function buildTopPagesDataset(propertyId, { startDate, endDate, compare, title, rows, json = {} }) {
+  return {
+    meta: [['Property', propertyId], ['Range', `${startDate} to ${endDate}`], ...compareMeta(compare)],
+    table: { title, columns: TOP_PAGES_COLUMNS, rows, numbered: true },
+    json: { startDate, endDate, ...(compare ? { compare } : {}), ...json, rows },
+  };
 }
 
-function printUsage() {
-  console.log(`Usage:
-  ga4 init <service-account-json>
-  ga4 tui [--property <id>]
-  ga4 realtime --property <id> [--json]
-  ga4 report --property <id> [--range today|yesterday|last7|last30|last90|all|custom] [--start-date YYYY-MM-DD --end-date YYYY-MM-DD] [--json]
-  ga4 pages --property <id> [--range today|yesterday|last7|last30|last90|all|custom] [--start-date YYYY-MM-DD --end-date YYYY-MM-DD] [--limit 20] [--json]
-  ga4 path <path> --property <id> [--range today|yesterday|last7|last30|last90|all|custom] [--start-date YYYY-MM-DD --end-date YYYY-MM-DD] [--json]
+function buildPathReportDataset(propertyId, pathReport, { startDate, endDate, compare }) {
+  const pathColumns = [{ key: 'pagePath', label: 'Path' }, ...PATH_METRIC_COLUMNS];
+  return {
+    meta: [
+      ['Property', propertyId],
+      ['Path', `${pathReport.path} (includes: ${pathReport.pathVariants.join(', ')})`],
+      ['Range', `${startDate} to ${endDate}`],
+      ...compareMeta(compare),
+    ],
+    record: { columns: PATH_METRIC_COLUMNS, row: pathReport },
+    table:
+      pathReport.byPath?.length > 1
+        ? { title: 'By path variant:', columns: pathColumns, rows: pathReport.byPath }
+        : undefined,
+    flat: {
+      columns: pathColumns,
+      rows: [...pathReport.byPath, { ...pathReport, pagePath: '(total)' }],
+    },
+    json: { startDate, endDate, ...(compare ? { compare } : {}), ...pathReport },
+  };
+}
 
-  - Errors are logged to ${ERROR_LOG_FILE}`);
+function exportDataset(dataset, format, file) {
+  if (!(format in EXPORT_FORMATS)) {
+    throw new Error(`Export format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  const home = process.env.HOME || process.env.USERPROFILE;
+  const target = path.resolve(file.startsWith('~/') && home ? path.join(home, file.slice(2)) : file);
+  const text = renderDataset(dataset, format);
+  fs.writeFileSync(target, text.endsWith('\n') ? text : `${text}\n`, 'utf-8');
+  return target;
 }
 
-async function runCliCommand(service, command, options, positionals = []) {
+async function runCliCommand(service, command, cliOptions, positionals = []) {
+  const options = { ...getProfileDefaults(service.config.defaults, command, cliOptions), ...cliOptions };
   if (options.property) service.setPropertyId(options.property);
+  resolveOutputFormat(options);
 
   switch (command) {
     case 'realtime': {
-      const summary = await service.getRealtimeSummary();
-      if (options.json) {
-        console.log(JSON.stringify(summary, null, 2));
-      } else {
-        console.log(`Property: ${service.propertyId}`);
-        console.log(`Active Users: ${summary.activeUsers}`);
-        console.log(`Views: ${summary.screenPageViews}`);
-        console.log(`Events: ${summary.eventCount}`);
+      const scope = await resolveRealtimeScope(service, options);
+      const by = options.by ? String(options.by) : null;
+      if (by && by !== 'minutesAgo' && !REALTIME_DIMENSIONS.includes(by)) {
+        throw new Error(`--by must be one of: ${[...REALTIME_DIMENSIONS, 'minutesAgo'].join(', ')}`);
+      }
+      const limit = options.limit ? parseInt(options.limit, 10) : 20;
+      if (isNaN(limit) || limit <= 0) {
+        throw new Error('--limit must be a positive integer');
       }
+
+      const [summary, breakdown] = await Promise.all([
+        service.getRealtimeSummary(scope),
+        by === 'minutesAgo'
+          ? service.getRealtimeMinutes({ ...scope, minutes: scope.minutes || MAX_REALTIME_MINUTES })
+          : by
+            ? service.getRealtimeBreakdown({ ...scope, by, limit })
+            : null,
+      ]);
+
+      printDataset(
+        {
+          meta: [
+            ['Property', service.propertyId],
+            ['Window', `last ${scope.minutes || MAX_REALTIME_MINUTES} minutes`],
+            ...(options.path ? [['Path', options.path]] : []),
+            ...(scope.screenNames ? [['Screen names', scope.screenNames.join(' | ')]] : []),
+          ],
+          record: {
+            columns: [
+              { key: 'activeUsers', label: 'Active Users' },
+              { key: 'screenPageViews', label: 'Views' },
+              { key: 'eventCount', label: 'Events' },
+            ],
+            row: summary,
+          },
+          ...(breakdown
+            ? {
+                table: {
+                  title: `By ${by}`,
+                  columns: [
+                    { key: by, label: by, width: 60, align: by === 'minutesAgo' ? 'right' : undefined },
+                    { key: 'activeUsers', label: 'Active Users', align: 'right' },
+                    { key: 'screenPageViews', label: 'Views', align: 'right' },
+                  ],
+                  rows: breakdown,
+                },
+              }
+            : {}),
+          ...(by === 'minutesAgo'
+            ? { footer: [`Active users per minute (oldest → now): ${formatSparkline(breakdown.map((r) => Number(r.activeUsers)))}`] }
+            : {}),
+          json: {
+            ...summary,
+            minutes: scope.minutes || MAX_REALTIME_MINUTES,
+            ...(scope.screenNames ? { path: options.path || null, screenNames: scope.screenNames } : {}),
+            ...(breakdown ? { by, rows: breakdown } : {}),
+          },
+        },
+        options,
+      );
       return;
     }
     case 'report': {
-      const { startDate, endDate } = resolveDateRange(options);
-      const summary = await service.getReportSummary(startDate, endDate);
-      if (options.json) {
-        console.log(JSON.stringify({ startDate, endDate, ...summary }, null, 2));
-      } else {
-        console.log(`Property: ${service.propertyId}`);
-        console.log(`Range: ${startDate} to ${endDate}`);
-        console.log(`Sessions: ${summary.sessions}`);
-        console.log(`Users: ${summary.totalUsers}`);
-        console.log(`New Users: ${summary.newUsers}`);
-        console.log(`Pageviews: ${summary.pageviews}`);
-      }
+      const { startDate, endDate } = resolveDateRange(options, await service.getTimeZone());
+      const compare = resolveCompareOption(options, startDate, endDate);
+      const summary = await service.getReportSummary(startDate, endDate, compare);
+      const row = { startDate, endDate, ...(compare ? { compare } : {}), ...summary };
+      printDataset(
+        {
+          meta: [
+            ['Property', service.propertyId],
+            ['Range', `${startDate} to ${endDate}`],
+            ...compareMeta(compare),
+          ],
+          record: {
+            columns: [
+              { key: 'sessions', label: 'Sessions' },
+              { key: 'totalUsers', label: 'Users' },
+              { key: 'newUsers', label: 'New Users' },
+              { key: 'pageviews', label: 'Pageviews' },
+            ],
+            row,
+          },
+          flat: {
+            columns: ['startDate', 'endDate', ...Object.keys(summary)].map((key) => ({ key, label: key })),
+            rows: [row],
+          },
+          json: row,
+        },
+        options,
+      );
       return;
     }
     case 'pages': {
-      const { startDate, endDate } = resolveDateRange(options);
+      const { startDate, endDate } = resolveDateRange(options, await service.getTimeZone());
       const limit = options.limit ? parseInt(options.limit, 10) : 20;
       if (isNaN(limit) || limit <= 0) {
         throw new Error('--limit must be a positive integer');
       }
 
-      const pages = await service.getTopPagesReport(startDate, endDate, limit);
-      if (options.json) {
-        console.log(JSON.stringify({ startDate, endDate, limit, rows: pages }, null, 2));
-      } else {
-        console.log(`Property: ${service.propertyId}`);
-        console.log(`Range: ${startDate} to ${endDate}`);
-        console.log(`Top pages/screens (limit ${limit})`);
-        if (pages.length === 0) {
-          console.log('No rows returned.');
-          return;
+      const compare = resolveCompareOption(options, startDate, endDate);
+      if (options.all) {
+        if (compare) throw new Error('--compare cannot be combined with --all');
+        await printPagedRows(
+          service.iterateTopPages(startDate, endDate, parsePageSize(options)),
+          {
+            columns: TOP_PAGES_COLUMNS,
+            meta: [
+              ['Property', service.propertyId],
+              ['Range', `${startDate} to ${endDate}`],
+            ],
+            json: (rows) => ({ startDate, endDate, rows }),
+          },
+          options,
+        );
+        return;
+      }
+
+      const pages = await service.getTopPagesReport(startDate, endDate, limit, compare);
+      printDataset(
+        buildTopPagesDataset(service.propertyId, {
+          startDate,
+          endDate,
+          compare,
+          title: `Top pages/screens (limit ${limit})`,
+          rows: pages,
+          json: { limit },
+        }),
+        options,
+      );
+      return;
+    }
+    case 'path': {
+      const group = options.group && options.group !== true ? resolvePathGroup(service.config, String(options.group)) : null;
+      const paths = [
+        ...[].concat(options.path ?? []).filter((p) => p !== true),
+        ...positionals.slice(1),
+        ...readPathsFile(options['paths-file']),
+      ].map(String);
+      if (group && paths.length) {
+        throw new Error('--group cannot be combined with explicit paths');
+      }
+      if (!group && paths.length === 0) {
+        throw new Error(
+          'Usage: ga4 path <path> [<path> ...] [--match exact|prefix|regex|contains] [--paths-file <file>] [--group <name>] --property <id> [--range last7]',
+        );
+      }
+      const { startDate, endDate } = resolveDateRange(options, await service.getTimeZone());
+      const compare = resolveCompareOption(options, startDate, endDate);
+
+      if (group || paths.length > 1 || options.match) {
+        const match = options.match || group?.match || 'exact';
+        const limit = options.limit ? parseInt(options.limit, 10) : 100;
+        if (isNaN(limit) || limit <= 0) {
+          throw new Error('--limit must be a positive integer');
         }
+        const report = await service.getPathGroupReport({
+          paths: group ? group.paths : paths,
+          match,
+          startDate,
+          endDate,
+          compareRange: compare,
+          limit,
+        });
+        const pathColumns = [{ key: 'pagePath', label: 'Path', width: 60 }, ...PATH_METRIC_COLUMNS];
+        printDataset(
+          {
+            meta: [
+              ['Property', service.propertyId],
+              ...(group ? [['Group', options.group]] : []),
+              ['Paths', `${report.paths.join(', ')} (${match})`],
+              ['Range', `${startDate} to ${endDate}`],
+              ...compareMeta(compare),
+            ],
+            record: { columns: PATH_METRIC_COLUMNS, row: report },
+            table: {
+              title: `By path (${report.byPath.length} of ${report.rowCount}):`,
+              columns: pathColumns,
+              rows: report.byPath,
+              empty: 'No matching paths in this date range.',
+            },
+            flat: {
+              columns: pathColumns,
+              rows: [...report.byPath, { ...report, pagePath: '(total)' }],
+            },
+            json: {
+              startDate,
+              endDate,
+              ...(group ? { group: options.group } : {}),
+              ...(compare ? { compare } : {}),
+              ...report,
+            },
+          },
+          options,
+        );
+        return;
+      }
+
+      const pathArg = paths[0];
+      const pathReport = await service.getPathReport(pathArg, startDate, endDate, compare);
+      addRecentPath(pathArg, {
+        range: options['start-date'] || options.range === 'custom' ? 'custom' : options.range,
+        startDate,
+        endDate,
+      });
+      printDataset(buildPathReportDataset(service.propertyId, pathReport, { startDate, endDate, compare }), options);
+      return;
+    }
+    case 'sources': {
+      const { startDate, endDate } = resolveDateRange(options, await service.getTimeZone());
+      const by = options.by || 'source';
+      const limit = options.limit ? parseInt(options.limit, 10) : 20;
+      if (isNaN(limit) || limit <= 0) {
+        throw new Error('--limit must be a positive integer');
+      }
+
+      const result = await service.getSources({ startDate, endDate, by, path: options.path, channel: options.channel, limit });
+      printDataset(
+        {
+          meta: [
+            ['Property', service.propertyId],
+            ['Range', `${startDate} to ${endDate}`],
+            ['Grouped by', by],
+            ...(options.path ? [['Path', options.path]] : []),
+            ...(options.channel ? [['Channel', options.channel]] : []),
+          ],
+          table: {
+            title: `Traffic sources (limit ${limit})`,
+            columns: getSourceColumns(by),
+            rows: result.rows,
+            numbered: true,
+          },
+          json: { startDate, endDate, path: options.path || null, channel: options.channel || null, limit, ...result },
+        },
+        options,
+      );
+      return;
+    }
+    case 'audience': {
+      const { startDate, endDate } = resolveDateRange(options, await service.getTimeZone());
+      const by = options.by || 'country';
+      const limit = options.limit ? parseInt(options.limit, 10) : 20;
+      if (isNaN(limit) || limit <= 0) {
+        throw new Error('--limit must be a positive integer');
+      }
+
+      const result = await service.getAudience({ startDate, endDate, by, path: options.path, limit });
+      printDataset(
+        {
+          meta: [
+            ['Property', service.propertyId],
+            ['Range', `${startDate} to ${endDate}`],
+            ['Grouped by', by],
+            ...(options.path ? [['Path', options.path]] : []),
+            ['Total users', result.totals.totalUsers],
+          ],
+          table: {
+            title: `Audience by ${by} (limit ${limit})`,
+            columns: [
+              ...AUDIENCE_GROUPINGS[by].map(({ key, label }) => ({ key, label, width: 36 })),
+              ...AUDIENCE_METRIC_COLUMNS,
+            ],
+            rows: result.rows,
+            numbered: true,
+          },
+          json: { startDate, endDate, path: options.path || null, limit, ...result },
+        },
+        options,
+      );
+      return;
+    }
+    case 'events': {
+      const { startDate, endDate } = resolveDateRange(options, await service.getTimeZone());
+      const eventName = positionals[1];
+      const limit = options.limit ? parseInt(options.limit, 10) : eventName ? 20 : 50;
+      if (isNaN(limit) || limit <= 0) {
+        throw new Error('--limit must be a positive integer');
+      }
+      const meta = [
+        ['Property', service.propertyId],
+        ['Range', `${startDate} to ${endDate}`],
+        ...(eventName ? [['Event', eventName]] : []),
+      ];
 
-        const pathWidth = 36;
-        const titleWidth = 34;
-        const truncate = (value, width) => {
-          const text = String(value || '');
-          if (text.length <= width) return text;
-          return `${text.slice(0, width - 3)}...`;
-        };
+      if (!eventName) {
+        if (options.param) throw new Error('--param requires an event name: ga4 events <name> --param <customEvent:param>');
+        const result = await service.getEvents({ startDate, endDate, limit });
+        printDataset(
+          {
+            meta,
+            table: { title: `Events (limit ${limit})`, columns: EVENT_COLUMNS, rows: result.rows, numbered: true },
+            json: { startDate, endDate, limit, ...result },
+          },
+          options,
+        );
+        return;
+      }
 
-        console.log(
-          `${'#'.padEnd(3)} ${'Path'.padEnd(pathWidth)} ${'Title'.padEnd(titleWidth)} ${'Views'.padStart(8)} ${'Sessions'.padStart(10)} ${'Bounce'.padStart(8)} ${'Engage(s)'.padStart(10)}`,
+      if (options.param) {
+        const result = await service.getEventParameter({ startDate, endDate, eventName, param: String(options.param), limit });
+        printDataset(
+          {
+            meta: [...meta, ['Parameter', result.param]],
+            table: {
+              title: `Parameter values (limit ${limit})`,
+              columns: [
+                { key: 'value', label: 'Value', width: 50 },
+                { key: 'eventCount', label: 'Events', align: 'right' },
+                { key: 'share', label: 'Share', align: 'right', display: (v) => `${v}%` },
+                { key: 'totalUsers', label: 'Users', align: 'right' },
+              ],
+              rows: result.rows,
+              numbered: true,
+            },
+            json: { startDate, endDate, limit, ...result },
+          },
+          options,
         );
-        console.log('-'.repeat(3 + pathWidth + titleWidth + 42));
-        pages.forEach((row, idx) => {
-          console.log(
-            `${String(idx + 1).padEnd(3)} ${truncate(row.path, pathWidth).padEnd(pathWidth)} ${truncate(row.pageTitle, titleWidth).padEnd(titleWidth)} ${row.views.padStart(8)} ${row.sessions.padStart(10)} ${`${row.bounceRate}%`.padStart(8)} ${row.engagementTime.padStart(10)}`,
-          );
-        });
+        return;
       }
+
+      const result = await service.getEventPages({ startDate, endDate, eventName, limit });
+      printDataset(
+        {
+          meta,
+          table: {
+            title: `Top pages/screens for ${eventName} (limit ${limit})`,
+            columns: EVENT_PAGE_COLUMNS,
+            rows: result.rows,
+            numbered: true,
+          },
+          json: { startDate, endDate, limit, ...result },
+        },
+        options,
+      );
       return;
     }
-    case 'path': {
-      const pathArg = options.path ?? positionals[1];
-      if (!pathArg) {
-        console.error('Usage: ga4 path <path> --property <id> [--range last7]');
-        process.exit(1);
+    case 'run':
+      await runReportsFile(service, positionals[1], options);
+      return;
+    case 'watch':
+      await runWatchCommand(service, options);
+      return;
+    case 'funnel': {
+      const steps = (options.step || []).filter((step) => step !== true);
+      if (steps.length === 0) {
+        throw new Error('Usage: ga4 funnel --step /pricing --step /signup --step event:sign_up [--open] [--by device]');
       }
-      const { startDate, endDate } = resolveDateRange(options);
-      const pathReport = await service.getPathReport(pathArg, startDate, endDate);
-      if (options.json) {
-        console.log(JSON.stringify({ startDate, endDate, ...pathReport }, null, 2));
-      } else {
-        console.log(`Property: ${service.propertyId}`);
-        console.log(`Path: ${pathReport.path} (includes: ${pathReport.pathVariants.join(', ')})`);
-        console.log(`Range: ${startDate} to ${endDate}`);
-        console.log(`Sessions: ${pathReport.sessions}`);
-        console.log(`Users: ${pathReport.totalUsers}`);
-        console.log(`New Users: ${pathReport.newUsers}`);
-        console.log(`Pageviews: ${pathReport.pageviews}`);
-        console.log(`Events: ${pathReport.eventCount}`);
-        console.log(`Avg Session: ${pathReport.averageSessionDuration}s`);
-        console.log(`Bounce Rate: ${pathReport.bounceRate}%`);
-        console.log(`Engagement Rate: ${pathReport.engagementRate}%`);
-        if (pathReport.byPath?.length > 1) {
-          console.log('\nBy path variant:');
-          pathReport.byPath.forEach((p) => {
-            console.log(`  ${p.pagePath}: ${p.pageviews} views, ${p.sessions} sessions`);
-          });
-        }
+      const { startDate, endDate } = resolveDateRange(options, await service.getTimeZone());
+      const funnel = await service.getFunnel({
+        startDate,
+        endDate,
+        steps,
+        open: Boolean(options.open),
+        breakdown: options.by,
+      });
+
+      printDataset(
+        {
+          meta: [
+            ['Property', service.propertyId],
+            ['Range', `${startDate} to ${endDate}`],
+            ['Funnel', funnel.open ? 'open (users can enter at any step)' : 'closed (users must start at step 1)'],
+            ...(funnel.breakdown ? [['Breakdown', funnel.breakdown]] : []),
+          ],
+          table: { columns: getFunnelColumns(funnel.breakdown), rows: funnel.rows, empty: 'No users entered this funnel.' },
+          json: { startDate, endDate, ...funnel },
+        },
+        options,
+      );
+      return;
+    }
+    case 'trend': {
+      const metrics = parseFieldList(options.metrics || 'sessions');
+      const { startDate, endDate } = resolveDateRange(options, await service.getTimeZone());
+      const granularity = options.granularity || getDefaultGranularity(startDate, endDate);
+      await service.validateFields({ metrics });
+      const trend = await service.getTrend({ startDate, endDate, metrics, granularity, path: options.path });
+      const labelWidth = Math.max(...metrics.map((name) => name.length));
+
+      printDataset(
+        {
+          meta: [
+            ['Property', service.propertyId],
+            ['Range', `${startDate} to ${endDate}`],
+            ['Granularity', granularity],
+            ...(options.path ? [['Path', options.path]] : []),
+          ],
+          table: {
+            columns: [
+              { key: 'period', label: 'Period' },
+              ...metrics.map((name) => ({ key: name, label: name, align: 'right' })),
+            ],
+            rows: trend.points,
+          },
+          footer: metrics.map((name) => {
+            const values = trend.points.map((p) => p[name]);
+            return `${name.padEnd(labelWidth)}  ${formatSparkline(values)}  min ${Math.min(...values)}  max ${Math.max(...values)}`;
+          }),
+          json: { startDate, endDate, path: options.path || null, ...trend },
+        },
+        options,
+      );
+      return;
+    }
+    case 'accounts': {
+      const accounts = await service.listAccounts();
+      printDataset(
+        {
+          table: {
+            columns: [
+              { key: 'accountId', label: 'Account ID' },
+              { key: 'displayName', label: 'Name' },
+              { key: 'propertyCount', label: 'Properties', align: 'right' },
+            ],
+            rows: accounts,
+            empty: 'No accounts are visible to these credentials.',
+          },
+        },
+        options,
+      );
+      return;
+    }
+    case 'properties': {
+      const properties = await service.listProperties(options.account);
+      printDataset(
+        {
+          table: {
+            columns: [
+              { key: 'propertyId', label: 'Property ID' },
+              { key: 'displayName', label: 'Name' },
+              { key: 'accountId', label: 'Account ID' },
+              { key: 'account', label: 'Account' },
+              { key: 'timeZone', label: 'Time Zone' },
+              { key: 'currency', label: 'Currency' },
+            ],
+            rows: properties,
+            empty: 'No properties are visible to these credentials.',
+          },
+        },
+        options,
+      );
+      return;
+    }
+    case 'metadata': {
+      const metadata = await service.getMetadata();
+      const search = options.search && options.search !== true ? String(options.search).toLowerCase() : null;
+      const matches = (item) =>
+        (!options['custom-only'] || item.customDefinition) &&
+        (!search || [item.apiName, item.uiName, item.description].some((text) => String(text || '').toLowerCase().includes(search)));
+      const dimensions = (metadata.dimensions || []).filter(matches);
+      const metrics = (metadata.metrics || []).filter(matches);
+      const toRow = (kind) => (item) => ({
+        kind,
+        apiName: item.apiName,
+        uiName: item.uiName || '',
+        category: item.category || '',
+        type: item.type || '',
+        custom: item.customDefinition ? 'yes' : '',
+        description: item.description || '',
+      });
+      const rows = [...dimensions.map(toRow('dimension')), ...metrics.map(toRow('metric'))];
+
+      printDataset(
+        {
+          meta: [
+            ['Property', service.propertyId],
+            ...(search ? [['Search', options.search]] : []),
+            ...(options['custom-only'] ? [['Filter', 'custom definitions only']] : []),
+            ['Fields', `${dimensions.length} dimensions, ${metrics.length} metrics`],
+          ],
+          table: {
+            columns: [
+              { key: 'kind', label: 'Kind' },
+              { key: 'apiName', label: 'API Name', width: 48 },
+              { key: 'uiName', label: 'Name', width: 36 },
+              { key: 'category', label: 'Category', width: 28 },
+              { key: 'type', label: 'Type' },
+              { key: 'custom', label: 'Custom' },
+            ],
+            rows,
+            empty: 'No dimensions or metrics match.',
+          },
+          flat: {
+            columns: ['kind', 'apiName', 'uiName', 'category', 'type', 'custom', 'description'].map((key) => ({ key, label: key })),
+            rows,
+          },
+          json: { propertyId: service.propertyId, dimensions, metrics },
+        },
+        options,
+      );
+      return;
+    }
+    case 'query': {
+      const dimensions = parseFieldList(options.dimensions);
+      const metrics = parseFieldList(options.metrics);
+      if (metrics.length === 0) {
+        throw new Error('Usage: ga4 query --metrics <m1,m2> [--dimensions <d1,d2>] --property <id>');
+      }
+      const { startDate, endDate } = resolveDateRange(options, await service.getTimeZone());
+      const limit = options.limit ? parseInt(options.limit, 10) : 100;
+      if (isNaN(limit) || limit <= 0) {
+        throw new Error('--limit must be a positive integer');
+      }
+
+      const { dimensionFilter, metricFilter } = parseFilters(options.filter, metrics);
+      const orderBys = parseOrderBys(options['order-by'], metrics);
+      await service.validateFields(
+        {
+          dimensions: [
+            ...dimensions,
+            ...collectFilterFields(dimensionFilter),
+            ...orderBys.filter((o) => o.dimension).map((o) => o.dimension.dimensionName),
+          ],
+          metrics: [...metrics, ...collectFilterFields(metricFilter)],
+        },
+        { check: Boolean(options.check) },
+      );
+      const params = {
+        startDate,
+        endDate,
+        dimensions,
+        metrics,
+        orderBys,
+        dimensionFilter,
+        metricFilter,
+        limit,
+      };
+      const queryColumns = (dimensionNames, metricNames) => [
+        ...dimensionNames.map((name) => ({ key: name, label: name })),
+        ...metricNames.map((name) => ({ key: name, label: name, align: 'right' })),
+      ];
+
+      if (options.all) {
+        await printPagedRows(
+          service.iterateQuery(params, parsePageSize(options)),
+          {
+            columns: queryColumns(dimensions, metrics),
+            meta: [
+              ['Property', service.propertyId],
+              ['Range', `${startDate} to ${endDate}`],
+            ],
+            json: (rows) => ({ startDate, endDate, dimensions, metrics, rowCount: rows.length, rows }),
+          },
+          options,
+        );
+        return;
       }
+
+      const result = await service.runQuery(params);
+      printDataset(
+        {
+          meta: [
+            ['Property', service.propertyId],
+            ['Range', `${startDate} to ${endDate}`],
+            ['Rows', `${result.rows.length} of ${result.rowCount}`],
+          ],
+          table: {
+            columns: queryColumns(result.dimensions, result.metrics),
+            rows: result.rows,
+          },
+          json: { startDate, endDate, ...result },
+        },
+        options,
+      );
       return;
     }
     default:
@@ -1050,8 +5849,26 @@ async function runCliCommand(service, command, options, positionals = []) {
 }
 
 (async function main() {
-  const { positionals, options } = parseArgs(process.argv.slice(2));
-  const command = positionals[0] || 'tui';
+  const argv = process.argv.slice(2);
+  const separator = argv.indexOf('--');
+  let { positionals, options } = parseArgs(separator >= 0 ? argv.slice(0, separator) : argv);
+  let command = positionals[0] || 'tui';
+  if (separator >= 0 && command !== 'save') {
+    const error = new Error('Arguments after "--" are only read by: ga4 save <name> -- <command> [args...]');
+    exitWithLoggedError(error, 'main');
+  }
+
+  if (command === 'saved' && positionals[1] === 'run') {
+    try {
+      if (!positionals[2]) throw new Error('Usage: ga4 saved run <name> [--option value ...]');
+      const saved = parseArgs(getSavedQuery(positionals[2]).args);
+      positionals = saved.positionals;
+      options = { ...saved.options, ...options };
+      command = positionals[0];
+    } catch (error) {
+      exitWithLoggedError(error, 'main:saved');
+    }
+  }
 
   if (command === 'help' || options.help) {
     printUsage();
@@ -1063,12 +5880,54 @@ async function runCliCommand(service, command, options, positionals = []) {
       printUsage();
       process.exit(1);
     }
-    await initGA(positionals[1]);
+    await initGA(positionals[1], options);
     return;
   }
 
   try {
-    const service = new GA4Service();
+    if (command === 'auth') {
+      await runAuthCommand(positionals[1], options);
+      return;
+    }
+
+    if (command === 'completion') {
+      printCompletionScript(positionals[1]);
+      return;
+    }
+
+    // Hidden helper used by the completion scripts for values that live in ~/.ga4-cli/.
+    if (command === '__complete') {
+      printCompletionCandidates(positionals[1]);
+      return;
+    }
+
+    if (command === 'profiles') {
+      runProfilesCommand(positionals[1], positionals[2], options);
+      return;
+    }
+
+    if (command === 'cache') {
+      runCacheCommand(positionals[1], options);
+      return;
+    }
+
+    if (command === 'save') {
+      runSaveCommand(positionals[1], separator >= 0 ? argv.slice(separator + 1) : []);
+      return;
+    }
+
+    if (command === 'saved') {
+      runSavedCommand(positionals[1], positionals[2], options);
+      return;
+    }
+
+    const cacheMode = options['no-cache'] ? 'off' : options.refresh ? 'refresh' : 'use';
+    let retries;
+    if (options.retries !== undefined) {
+      retries = parseInt(options.retries, 10);
+      if (isNaN(retries) || retries < 0) throw new Error('--retries must be a non-negative integer');
+    }
+    const service = new GA4Service({ profile: options.profile, cacheMode, retries });
     if (options.property) service.setPropertyId(options.property);
 
     if (command === 'tui') {
@@ -1078,6 +5937,7 @@ async function runCliCommand(service, command, options, positionals = []) {
     }
 
     await runCliCommand(service, command, options, positionals);
+    if (options['show-quota']) printQuota(service);
   } catch (error) {
     exitWithLoggedError(error, `main:${command}`);
   }